@@ -0,0 +1,14 @@
+/**
+ * DuckDuckGo serves protocol-relative links; pin them to https so they do not inherit
+ * the relay's scheme.
+ */
+export default {
+  name: "duckduckgo",
+  description: "Absolute https links on duckduckgo.com.",
+  hosts: ["duckduckgo.com", "*.duckduckgo.com"],
+  onHtml($) {
+    $('[href^="//"]').each((_index, element) => {
+      $(element).attr("href", `https:${$(element).attr("href")}`);
+    });
+  },
+};
@@ -0,0 +1,222 @@
+import dns from "node:dns";
+import net from "node:net";
+
+/**
+ * AddressGuard.js
+ *
+ * Resolve-then-check protection against the relay being used to reach private
+ * networks. Hostnames are screened up front (names, `*.localhost`, IP literals in
+ * any notation the URL parser accepts), and the DNS answer is screened again inside
+ * the socket's own `lookup`, so the address that was checked is exactly the address
+ * that gets connected to. A name that later rebinds to 127.0.0.1 has to pass the
+ * same check on its next connection.
+ */
+
+const BLOCKED_IPV4_RANGES = [
+  ["0.0.0.0", 8], // "this" network
+  ["10.0.0.0", 8], // RFC1918
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8], // loopback
+  ["169.254.0.0", 16], // link-local, including 169.254.169.254 cloud metadata
+  ["172.16.0.0", 12], // RFC1918
+  ["192.0.0.0", 24], // IETF protocol assignments
+  ["192.0.2.0", 24], // TEST-NET-1
+  ["192.168.0.0", 16], // RFC1918
+  ["198.18.0.0", 15], // benchmarking
+  ["198.51.100.0", 24], // TEST-NET-2
+  ["203.0.113.0", 24], // TEST-NET-3
+  ["224.0.0.0", 4], // multicast
+  ["240.0.0.0", 4], // reserved + broadcast
+];
+
+const BLOCKED_IPV6_RANGES = [
+  ["::", 96], // unspecified, loopback and deprecated IPv4-compatible addresses
+  ["100::", 64], // discard-only
+  ["2001:db8::", 32], // documentation
+  ["fc00::", 7], // unique local, including fd00:ec2::254 cloud metadata
+  ["fe80::", 10], // link-local
+  ["fec0::", 10], // deprecated site-local
+  ["ff00::", 8], // multicast
+];
+
+const BLOCKED_HOSTNAMES = ["localhost", "metadata", "metadata.google.internal", "metadata.goog", "instance-data"];
+
+export class BlockedAddressError extends Error {
+  constructor(hostname, address) {
+    super(address ? `${hostname} resolves to blocked address ${address}` : `${hostname} is not an allowed target`);
+    this.name = "BlockedAddressError";
+    this.code = "ERR_COFFEESHOP_BLOCKED_ADDRESS";
+    this.hostname = hostname;
+    this.address = address || null;
+  }
+}
+
+export class AddressGuard {
+  /**
+   * `blocklist` entries may be hostnames (exact match or any subdomain of them) or
+   * CIDR ranges such as `203.0.113.0/24`, e.g. from POWERTHROUGH_BLOCKLIST.
+   */
+  constructor({ blocklist = [], resolver = dns.lookup } = {}) {
+    this.resolver = resolver;
+    this.ranges = new net.BlockList();
+    this.hostnames = new Set(BLOCKED_HOSTNAMES);
+    this.stats = { hostnameBlocks: 0, addressBlocks: 0, lookups: 0 };
+    BLOCKED_IPV4_RANGES.forEach(([address, prefix]) => this.ranges.addSubnet(address, prefix, "ipv4"));
+    BLOCKED_IPV6_RANGES.forEach(([address, prefix]) => this.ranges.addSubnet(address, prefix, "ipv6"));
+    for (const entry of blocklist) {
+      this.addBlockedEntry(entry);
+    }
+    this.lookup = this.lookup.bind(this);
+  }
+
+  addBlockedEntry(entry) {
+    const value = String(entry || "").trim().toLowerCase();
+    if (!value) return;
+    const [address, prefix] = value.split("/");
+    const family = net.isIP(address);
+    if (family) {
+      this.ranges.addSubnet(address, prefix ? Number(prefix) : family === 4 ? 32 : 128, `ipv${family}`);
+    } else {
+      this.hostnames.add(value.replace(/^\*\./, ""));
+    }
+  }
+
+  /**
+   * Synchronous screen for a URL hostname. Catches blocked names and IP literals;
+   * names that merely resolve somewhere private are caught by `lookup`.
+   */
+  isBlockedHost(hostname) {
+    const host = canonicalizeHostname(hostname);
+    if (!host) {
+      return true;
+    }
+    const blocked = net.isIP(host) ? this.isBlockedAddress(host) : this._isBlockedName(host);
+    if (blocked) {
+      this.stats.hostnameBlocks += 1;
+    }
+    return blocked;
+  }
+
+  isBlockedAddress(address) {
+    const host = String(address || "").replace(/^\[|\]$/g, "").replace(/%.*$/, "");
+    const family = net.isIP(host);
+    if (family === 4) {
+      return this.ranges.check(host, "ipv4");
+    }
+    if (family !== 6) {
+      return true;
+    }
+    const embedded = extractEmbeddedIpv4(host);
+    if (embedded && this.ranges.check(embedded, "ipv4")) {
+      return true;
+    }
+    return this.ranges.check(host, "ipv6");
+  }
+
+  /**
+   * Drop-in replacement for dns.lookup, meant for `connect.lookup` on an undici Agent
+   * (or net/tls.connect directly). Every answer is checked; one blocked record fails
+   * the whole lookup so round-robin answers cannot smuggle a private address in.
+   */
+  lookup(hostname, options, callback) {
+    if (typeof options === "function") {
+      callback = options;
+      options = {};
+    }
+    const lookupOptions = typeof options === "number" ? { family: options } : { ...options };
+    this.stats.lookups += 1;
+    if (this.isBlockedHost(hostname)) {
+      process.nextTick(callback, new BlockedAddressError(hostname));
+      return;
+    }
+    this.resolver(hostname, { ...lookupOptions, all: true }, (error, addresses) => {
+      if (error) {
+        callback(error);
+        return;
+      }
+      const blocked = addresses.find((entry) => this.isBlockedAddress(entry.address));
+      if (blocked) {
+        this.stats.addressBlocks += 1;
+        callback(new BlockedAddressError(hostname, blocked.address));
+        return;
+      }
+      if (lookupOptions.all) {
+        callback(null, addresses);
+        return;
+      }
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  }
+
+  /**
+   * Resolves and checks a hostname without connecting. Used where the relay cannot
+   * own the socket (e.g. the headless browser); prefer `lookup` wherever it can.
+   */
+  assertAllowed(hostname) {
+    return new Promise((resolve, reject) => {
+      this.lookup(hostname, { all: true }, (error, addresses) => (error ? reject(error) : resolve(addresses)));
+    });
+  }
+
+  _isBlockedName(host) {
+    if (host.endsWith(".localhost")) {
+      return true;
+    }
+    for (let name = host; name; name = name.slice(name.indexOf(".") + 1 || name.length)) {
+      if (this.hostnames.has(name)) {
+        return true;
+      }
+    }
+    return false;
+  }
+}
+
+export function isBlockedAddressError(error) {
+  return error instanceof BlockedAddressError || error?.cause instanceof BlockedAddressError;
+}
+
+function canonicalizeHostname(hostname) {
+  const raw = String(hostname || "").trim().toLowerCase().replace(/\.$/, "");
+  if (!raw) return "";
+  try {
+    // Reuse the WHATWG host parser so 2130706433, 0177.1 and 0x7f.0.0.1 all become
+    // 127.0.0.1 and IPv6 literals are compressed the same way the fetch layer sees them.
+    const { hostname: parsed } = new URL(`http://${raw.includes(":") && !raw.startsWith("[") ? `[${raw}]` : raw}/`);
+    return parsed.replace(/^\[|\]$/g, "").replace(/\.$/, "");
+  } catch {
+    return "";
+  }
+}
+
+function extractEmbeddedIpv4(address) {
+  const hextets = expandIpv6(address);
+  if (!hextets) return null;
+  const toIpv4 = (high, low) => [high >> 8, high & 0xff, low >> 8, low & 0xff].join(".");
+  const isZero = (from, to) => hextets.slice(from, to).every((part) => part === 0);
+  if (isZero(0, 5) && hextets[5] === 0xffff) {
+    return toIpv4(hextets[6], hextets[7]); // ::ffff:a.b.c.d
+  }
+  if (hextets[0] === 0x64 && hextets[1] === 0xff9b && isZero(2, 6)) {
+    return toIpv4(hextets[6], hextets[7]); // NAT64 64:ff9b::a.b.c.d
+  }
+  if (hextets[0] === 0x2002) {
+    return toIpv4(hextets[1], hextets[2]); // 6to4
+  }
+  return null;
+}
+
+function expandIpv6(address) {
+  let value = address;
+  const dotted = /(\d+\.\d+\.\d+\.\d+)$/.exec(value);
+  if (dotted) {
+    const octets = dotted[1].split(".").map(Number);
+    value = `${value.slice(0, dotted.index)}${((octets[0] << 8) | octets[1]).toString(16)}:${((octets[2] << 8) | octets[3]).toString(16)}`;
+  }
+  const [head, tail] = value.split("::");
+  const headParts = head ? head.split(":") : [];
+  const tailParts = tail ? tail.split(":") : [];
+  const missing = 8 - headParts.length - tailParts.length;
+  if (missing < 0 || (tail === undefined && missing !== 0)) return null;
+  const parts = [...headParts, ...Array(tail === undefined ? 0 : missing).fill("0"), ...tailParts];
+  return parts.map((part) => parseInt(part, 16));
+}
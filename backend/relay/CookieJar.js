@@ -0,0 +1,361 @@
+import net from "node:net";
+import { getPublicSuffix } from "tldts";
+
+/**
+ * CookieJar.js
+ *
+ * Server-side cookie storage for relayed sites. Every proxied site shares the relay's
+ * own origin in the browser, so letting upstream Set-Cookie headers through means
+ * same-named cookies from different sites overwrite each other and every site receives
+ * every other site's cookies. Instead the relay keeps one jar per coffeeshop_device
+ * and applies the RFC 6265 storage and retrieval rules itself (domain and path
+ * matching, host-only cookies, Expires/Max-Age, Secure, plus the __Secure-/__Host-
+ * prefixes from RFC 6265bis). Domain attributes naming a public suffix ("co.uk",
+ * "github.io") are checked against the Public Suffix List, private section included.
+ *
+ * Only persistent cookies are exported by toJSON(); session cookies end with the process,
+ * the same way they end with a browser session.
+ */
+
+const MAX_COOKIES_PER_DOMAIN = 50;
+const MAX_COOKIES_PER_DEVICE = 3000;
+const MAX_COOKIE_BYTES = 4096;
+
+export class CookieJar {
+  constructor({ now = Date.now } = {}) {
+    this.now = now;
+    this.devices = new Map();
+  }
+
+  /**
+   * Stores every Set-Cookie value received for `requestUrl`. Returns how many were
+   * accepted; invalid or disallowed cookies are ignored, as a browser would.
+   */
+  storeSetCookies(deviceId, requestUrl, setCookieValues = []) {
+    if (!deviceId || !setCookieValues.length) {
+      return 0;
+    }
+    const url = toUrl(requestUrl);
+    let accepted = 0;
+    for (const value of setCookieValues) {
+      const cookie = parseSetCookie(value, url, this.now());
+      if (!cookie) continue;
+      this._store(deviceId, cookie);
+      accepted += 1;
+    }
+    return accepted;
+  }
+
+  /**
+   * Builds the Cookie request header for `requestUrl`, or "" when nothing applies.
+   * Longer paths come first, then older cookies (RFC 6265 §5.4).
+   */
+  getCookieHeader(deviceId, requestUrl) {
+    const cookies = this.getCookies(deviceId, requestUrl);
+    const now = this.now();
+    cookies.forEach((cookie) => {
+      cookie.lastAccessed = now;
+    });
+    return cookies.map((cookie) => (cookie.name ? `${cookie.name}=${cookie.value}` : cookie.value)).join("; ");
+  }
+
+  getCookies(deviceId, requestUrl) {
+    const jar = this.devices.get(deviceId);
+    if (!jar) {
+      return [];
+    }
+    const url = toUrl(requestUrl);
+    const host = canonicalHost(url.hostname);
+    const secure = url.protocol === "https:" || url.protocol === "wss:";
+    this._evictExpired(jar);
+    return jar
+      .filter(
+        (cookie) =>
+          (cookie.hostOnly ? host === cookie.domain : domainMatches(host, cookie.domain)) &&
+          pathMatches(url.pathname || "/", cookie.path) &&
+          (!cookie.secure || secure)
+      )
+      .sort((a, b) => b.path.length - a.path.length || a.created - b.created);
+  }
+
+  /**
+   * Copies of every live cookie the device holds, for clients that apply the matching
+   * rules themselves (the headless renderer's browser).
+   */
+  allCookies(deviceId) {
+    const jar = this.devices.get(deviceId);
+    if (!jar) {
+      return [];
+    }
+    this._evictExpired(jar);
+    return jar.map((cookie) => ({ ...cookie }));
+  }
+
+  /**
+   * Cookie summaries for the UI. Values are left out; `site` narrows the list to
+   * cookies a request to that host would send or that belong to its subdomains.
+   */
+  list(deviceId, { site } = {}) {
+    const jar = this.devices.get(deviceId) || [];
+    this._evictExpired(jar);
+    return jar
+      .filter((cookie) => !site || belongsToSite(cookie, site))
+      .map((cookie) => ({
+        name: cookie.name,
+        domain: cookie.domain,
+        path: cookie.path,
+        hostOnly: cookie.hostOnly,
+        secure: cookie.secure,
+        httpOnly: cookie.httpOnly,
+        sameSite: cookie.sameSite,
+        expires: cookie.expires ? new Date(cookie.expires).toISOString() : null,
+        size: cookie.name.length + cookie.value.length,
+      }));
+  }
+
+  /**
+   * Removes the device's cookies for `site` (all of them when no site is given).
+   * Returns the number removed.
+   */
+  clear(deviceId, { site } = {}) {
+    const jar = this.devices.get(deviceId);
+    if (!jar) {
+      return 0;
+    }
+    const kept = site ? jar.filter((cookie) => !belongsToSite(cookie, site)) : [];
+    const removed = jar.length - kept.length;
+    if (kept.length) {
+      this.devices.set(deviceId, kept);
+    } else {
+      this.devices.delete(deviceId);
+    }
+    return removed;
+  }
+
+  get size() {
+    let total = 0;
+    this.devices.forEach((jar) => {
+      total += jar.length;
+    });
+    return total;
+  }
+
+  toJSON() {
+    const now = this.now();
+    const devices = {};
+    this.devices.forEach((jar, deviceId) => {
+      const persistent = jar.filter((cookie) => cookie.expires && cookie.expires > now);
+      if (persistent.length) {
+        devices[deviceId] = persistent;
+      }
+    });
+    return { devices };
+  }
+
+  load(snapshot) {
+    const now = this.now();
+    for (const [deviceId, cookies] of Object.entries(snapshot?.devices || {})) {
+      if (!Array.isArray(cookies)) continue;
+      // Domain cookies on a public suffix may predate the suffix check; they are dropped.
+      const valid = cookies.filter(
+        (cookie) =>
+          cookie &&
+          typeof cookie.domain === "string" &&
+          typeof cookie.path === "string" &&
+          cookie.expires > now &&
+          (cookie.hostOnly || !isPublicSuffix(cookie.domain))
+      );
+      if (valid.length) {
+        this.devices.set(deviceId, valid);
+      }
+    }
+  }
+
+  _store(deviceId, cookie) {
+    const jar = this.devices.get(deviceId) || [];
+    const index = jar.findIndex(
+      (entry) => entry.name === cookie.name && entry.domain === cookie.domain && entry.path === cookie.path
+    );
+    if (index !== -1) {
+      // Replacing keeps the original creation time so ordering stays stable.
+      cookie.created = jar[index].created;
+      jar.splice(index, 1);
+    }
+    if (cookie.expires !== null && cookie.expires <= this.now()) {
+      // An already-expired cookie is how servers delete one.
+      this._commit(deviceId, jar);
+      return;
+    }
+    jar.push(cookie);
+    this._enforceLimits(jar, cookie.domain);
+    this._commit(deviceId, jar);
+  }
+
+  _commit(deviceId, jar) {
+    if (jar.length) {
+      this.devices.set(deviceId, jar);
+    } else {
+      this.devices.delete(deviceId);
+    }
+  }
+
+  _enforceLimits(jar, domain) {
+    this._evictExpired(jar);
+    const evictOldest = (candidates, limit) => {
+      if (candidates.length <= limit) return;
+      candidates
+        .sort((a, b) => a.lastAccessed - b.lastAccessed)
+        .slice(0, candidates.length - limit)
+        .forEach((cookie) => jar.splice(jar.indexOf(cookie), 1));
+    };
+    evictOldest(
+      jar.filter((cookie) => cookie.domain === domain),
+      MAX_COOKIES_PER_DOMAIN
+    );
+    evictOldest([...jar], MAX_COOKIES_PER_DEVICE);
+  }
+
+  _evictExpired(jar) {
+    const now = this.now();
+    for (let i = jar.length - 1; i >= 0; i -= 1) {
+      if (jar[i].expires !== null && jar[i].expires <= now) {
+        jar.splice(i, 1);
+      }
+    }
+  }
+}
+
+/**
+ * Parses one Set-Cookie value received from `requestUrl` (RFC 6265 §5.2 + §5.3).
+ * Returns null when a user agent would ignore the cookie.
+ */
+export function parseSetCookie(value, requestUrl, now = Date.now()) {
+  if (!value || value.length > MAX_COOKIE_BYTES) {
+    return null;
+  }
+  const url = toUrl(requestUrl);
+  const host = canonicalHost(url.hostname);
+  const secureOrigin = url.protocol === "https:" || url.protocol === "wss:";
+  const [pair, ...attributeParts] = value.split(";");
+  const separator = pair.indexOf("=");
+  const name = separator === -1 ? "" : pair.slice(0, separator).trim();
+  const cookieValue = (separator === -1 ? pair : pair.slice(separator + 1)).trim();
+  if (!name && !cookieValue) {
+    return null;
+  }
+  if (/[\x00-\x08\x0a-\x1f\x7f]/.test(name + cookieValue)) {
+    return null;
+  }
+
+  const attributes = {};
+  for (const part of attributeParts) {
+    const index = part.indexOf("=");
+    const key = (index === -1 ? part : part.slice(0, index)).trim().toLowerCase();
+    const attributeValue = index === -1 ? "" : part.slice(index + 1).trim();
+    if (key) {
+      // The last occurrence of an attribute wins.
+      attributes[key] = attributeValue;
+    }
+  }
+
+  let expires = null;
+  if ("max-age" in attributes && /^-?\d+$/.test(attributes["max-age"])) {
+    const seconds = Number(attributes["max-age"]);
+    expires = seconds <= 0 ? 0 : now + seconds * 1000;
+  } else if (attributes.expires) {
+    const parsed = Date.parse(attributes.expires);
+    if (!Number.isNaN(parsed)) {
+      expires = parsed;
+    }
+  }
+
+  let domain = host;
+  let hostOnly = true;
+  const domainAttribute = (attributes.domain || "").replace(/^\./, "").toLowerCase();
+  if (domainAttribute) {
+    const cookieDomain = canonicalHost(domainAttribute);
+    if (!cookieDomain || !domainMatches(host, cookieDomain)) {
+      return null;
+    }
+    // RFC 6265 §5.3 step 5: a public suffix is only acceptable from that very host, and
+    // then the cookie stays host-only.
+    if (isPublicSuffix(cookieDomain)) {
+      if (cookieDomain !== host) {
+        return null;
+      }
+    } else {
+      domain = cookieDomain;
+      hostOnly = false;
+    }
+  }
+
+  const path = attributes.path?.startsWith("/") ? attributes.path : defaultPath(url.pathname);
+  const secure = "secure" in attributes;
+  if (secure && !secureOrigin) {
+    return null;
+  }
+  if (name.startsWith("__Secure-") && !secure) {
+    return null;
+  }
+  if (name.startsWith("__Host-") && (!secure || !hostOnly || path !== "/")) {
+    return null;
+  }
+  const sameSite = { strict: "Strict", lax: "Lax", none: "None" }[(attributes.samesite || "").toLowerCase()] || null;
+
+  return {
+    name,
+    value: cookieValue,
+    domain,
+    path,
+    hostOnly,
+    secure,
+    httpOnly: "httponly" in attributes,
+    sameSite,
+    expires,
+    created: now,
+    lastAccessed: now,
+  };
+}
+
+export function domainMatches(host, domain) {
+  if (host === domain) {
+    return true;
+  }
+  return !net.isIP(host) && host.endsWith(`.${domain}`);
+}
+
+export function pathMatches(requestPath, cookiePath) {
+  if (requestPath === cookiePath) {
+    return true;
+  }
+  return (
+    requestPath.startsWith(cookiePath) &&
+    (cookiePath.endsWith("/") || requestPath.charAt(cookiePath.length) === "/")
+  );
+}
+
+function defaultPath(pathname = "/") {
+  if (!pathname.startsWith("/")) {
+    return "/";
+  }
+  const lastSlash = pathname.lastIndexOf("/");
+  return lastSlash <= 0 ? "/" : pathname.slice(0, lastSlash);
+}
+
+function belongsToSite(cookie, site) {
+  const host = canonicalHost(site);
+  return Boolean(host) && (domainMatches(host, cookie.domain) || domainMatches(cookie.domain, host));
+}
+
+function isPublicSuffix(domain) {
+  // Unlisted single labels ("localhost", "intranet") count as suffixes too.
+  return !net.isIP(domain) && getPublicSuffix(domain, { allowPrivateDomains: true }) === domain;
+}
+
+function canonicalHost(hostname = "") {
+  return String(hostname).toLowerCase().replace(/^\[|\]$/g, "").replace(/\.$/, "");
+}
+
+function toUrl(value) {
+  return value instanceof URL ? value : new URL(String(value));
+}
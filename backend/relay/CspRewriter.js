@@ -0,0 +1,151 @@
+/**
+ * CspRewriter.js
+ *
+ * Translates an upstream Content-Security-Policy into one that holds on the relay's
+ * origin. Every proxied subresource is fetched from the relay itself, so host and
+ * network-scheme sources (`https://cdn.example.com`, `*.example.com`, `https:`, `wss:`)
+ * all become `'self'`; a directive that allowed nothing still allows nothing. Keywords,
+ * nonces and hashes are kept exactly, so inline scripts the page signed keep running and
+ * injected markup still does not.
+ *
+ * On top of that the relay adds only what it needs:
+ *
+ * - its head script (`/interceptor.js`) must run. Where the script directive trusts
+ *   nonces, hashes or 'strict-dynamic' (or allows no scripts at all), host sources do
+ *   not help, so the response nonce is added and carried by the injected tag; otherwise
+ *   `'self'` is enough. A nonce is never added next to a bare 'unsafe-inline', which it
+ *   would switch off.
+ * - pages are framed by the workspace, so `frame-ancestors` becomes `'self'`.
+ * - reports would leak relay URLs to the target and `upgrade-insecure-requests` breaks
+ *   plain-HTTP relays, so those go. `require-trusted-types-for` goes too: the
+ *   interceptor assigns rewritten URL strings to script sinks.
+ *
+ * Inline <style>/<script> blocks whose text the relay rewrites no longer match a hash
+ * the policy pinned for them; only nonce-based policies survive that.
+ */
+
+const KEPT_KEYWORDS = new Set([
+  "'self'",
+  "'none'",
+  "'unsafe-inline'",
+  "'unsafe-eval'",
+  "'unsafe-hashes'",
+  "'strict-dynamic'",
+  "'report-sample'",
+  "'wasm-unsafe-eval'",
+  "'inline-speculation-rules'",
+]);
+const LOCAL_SCHEMES = new Set(["data:", "blob:", "filesystem:", "mediastream:"]);
+const DROPPED_DIRECTIVES = new Set([
+  "report-uri",
+  "report-to",
+  "upgrade-insecure-requests",
+  "block-all-mixed-content",
+  "require-trusted-types-for",
+]);
+// Directives whose values are source lists; everything else (sandbox, trusted-types,
+// plugin-types, ...) is copied through untouched.
+const SOURCE_LIST_DIRECTIVES = new Set([
+  "default-src",
+  "script-src",
+  "script-src-elem",
+  "script-src-attr",
+  "style-src",
+  "style-src-elem",
+  "style-src-attr",
+  "img-src",
+  "font-src",
+  "connect-src",
+  "media-src",
+  "object-src",
+  "frame-src",
+  "child-src",
+  "worker-src",
+  "manifest-src",
+  "prefetch-src",
+  "fenced-frame-src",
+  "base-uri",
+  "form-action",
+  "navigate-to",
+]);
+const SCRIPT_ELEMENT_FALLBACK = ["script-src-elem", "script-src", "default-src"];
+const NONCE_OR_HASH = /^'(?:nonce-|sha256-|sha384-|sha512-)/i;
+
+/**
+ * Rewrites a Content-Security-Policy header value (one or more comma-separated
+ * policies). `nonce` is the per-response nonce the relay's own <script> carries; pass
+ * null for responses the relay injects nothing into. Returns "" when nothing is left.
+ */
+export function rewriteContentSecurityPolicy(value, { nonce = null } = {}) {
+  return String(value || "")
+    .split(",")
+    .map((policy) => rewritePolicy(policy, nonce))
+    .filter(Boolean)
+    .join(", ");
+}
+
+export function parsePolicy(policy) {
+  const directives = new Map();
+  for (const part of String(policy || "").split(";")) {
+    const [rawName, ...sources] = part.trim().split(/\s+/);
+    const name = (rawName || "").toLowerCase();
+    // The first occurrence of a directive wins; repeats are ignored (CSP3 §2.2.1).
+    if (name && !directives.has(name)) {
+      directives.set(name, sources);
+    }
+  }
+  return directives;
+}
+
+export function serializePolicy(directives) {
+  return [...directives].map(([name, sources]) => [name, ...sources].join(" ")).join("; ");
+}
+
+function rewritePolicy(policy, nonce) {
+  const directives = parsePolicy(policy);
+  if (!directives.size) {
+    return "";
+  }
+  const rewritten = new Map();
+  for (const [name, sources] of directives) {
+    if (DROPPED_DIRECTIVES.has(name)) continue;
+    rewritten.set(name, SOURCE_LIST_DIRECTIVES.has(name) ? mapSourceList(sources) : sources);
+  }
+  if (rewritten.has("frame-ancestors")) {
+    rewritten.set("frame-ancestors", ["'self'"]);
+  }
+  const scriptDirective = SCRIPT_ELEMENT_FALLBACK.find((name) => rewritten.has(name));
+  if (scriptDirective) {
+    rewritten.set(scriptDirective, allowRelayScript(rewritten.get(scriptDirective), nonce));
+  }
+  return serializePolicy(rewritten);
+}
+
+function mapSourceList(sources) {
+  const mapped = [];
+  for (const source of sources) {
+    const lower = source.toLowerCase();
+    let next = "'self'";
+    if (KEPT_KEYWORDS.has(lower)) {
+      next = lower;
+    } else if (NONCE_OR_HASH.test(source) || LOCAL_SCHEMES.has(lower)) {
+      next = source;
+    }
+    if (!mapped.includes(next)) {
+      mapped.push(next);
+    }
+  }
+  return mapped.length > 1 ? mapped.filter((source) => source !== "'none'") : mapped;
+}
+
+function allowRelayScript(sources, nonce) {
+  const list = sources.filter((source) => source !== "'none'");
+  const trustsTokens = list.some((source) => source === "'strict-dynamic'" || NONCE_OR_HASH.test(source));
+  // A page that allowed no scripts at all only gets the relay's own, by nonce.
+  if ((trustsTokens || !list.length) && nonce) {
+    list.push(`'nonce-${nonce}'`);
+  } else if (!list.includes("'self'")) {
+    list.push("'self'");
+  }
+  return list;
+}
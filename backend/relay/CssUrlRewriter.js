@@ -0,0 +1,117 @@
+/**
+ * CssUrlRewriter.js
+ *
+ * Token-level rewriting of URL references in CSS. A regex over the whole stylesheet
+ * cannot tell `@import "theme.css"` from `format("woff2")` or a URL inside a comment,
+ * so this walks the stylesheet as CSS tokens (comments, strings, functions, at-rules)
+ * and only touches the ones that carry URLs:
+ *
+ * - `url(...)` / `src(...)`, quoted or unquoted
+ * - bare strings after `@import`
+ * - strings inside `image-set()` / `-webkit-image-set()`
+ *
+ * Everything else, including the original quote style and whitespace, is copied
+ * through untouched. Used for stylesheet responses, <style> blocks and style="".
+ */
+
+const TOKEN_PATTERN =
+  /\/\*[\s\S]*?(?:\*\/|$)|(["'])(?:[^"'\\\n]|\\[\s\S]|(?!\1)["'])*(?:\1|(?=\n)|$)|@(-?[a-zA-Z_][\w-]*)|(-?[a-zA-Z_][\w-]*)\(|[();{}]/g;
+const UNQUOTED_URL_PATTERN = /(\s*)((?:[^)\\\s"']|\\[\s\S])*)(\s*)(?=\))/y;
+const URL_FUNCTIONS = new Set(["url", "src"]);
+const IMAGE_SET_FUNCTIONS = new Set(["image-set", "-webkit-image-set"]);
+
+/**
+ * Returns `css` with every URL reference passed through `rewriteUrl(url)`. The callback
+ * receives the unescaped URL and returns its replacement, or null to leave it alone.
+ */
+export function rewriteCssUrlReferences(css, rewriteUrl) {
+  if (!css) {
+    return css;
+  }
+  const output = [];
+  const functions = [];
+  let cursor = 0;
+  let pendingImport = false;
+  TOKEN_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = TOKEN_PATTERN.exec(css))) {
+    const [token, quote, atKeyword, functionName] = match;
+    const start = match.index;
+    if (token.startsWith("/*")) {
+      continue;
+    }
+    if (quote) {
+      const context = functions[functions.length - 1];
+      const isUrl =
+        URL_FUNCTIONS.has(context) || IMAGE_SET_FUNCTIONS.has(context) || (pendingImport && !functions.length);
+      pendingImport = false;
+      if (!isUrl) continue;
+      const closed = token.length > 1 && token.endsWith(quote) && !/(?:^|[^\\])(?:\\\\)*\\$/.test(token.slice(1, -1));
+      const inner = token.slice(1, closed ? -1 : undefined);
+      const replacement = rewriteUrl(unescapeCss(inner));
+      if (replacement === null || replacement === undefined) continue;
+      output.push(css.slice(cursor, start), quote, escapeCssString(replacement, quote), closed ? quote : "");
+      cursor = start + token.length;
+      continue;
+    }
+    if (atKeyword) {
+      pendingImport = atKeyword.toLowerCase() === "import";
+      continue;
+    }
+    if (functionName) {
+      const name = functionName.toLowerCase();
+      if (URL_FUNCTIONS.has(name)) {
+        UNQUOTED_URL_PATTERN.lastIndex = TOKEN_PATTERN.lastIndex;
+        const unquoted = UNQUOTED_URL_PATTERN.exec(css);
+        if (unquoted && unquoted[2]) {
+          // url(foo.png): the whole argument is a single url-token.
+          const [whole, leading, value, trailing] = unquoted;
+          const replacement = rewriteUrl(unescapeCss(value));
+          TOKEN_PATTERN.lastIndex += whole.length + 1;
+          pendingImport = false;
+          if (replacement === null || replacement === undefined) continue;
+          const valueStart = start + token.length + leading.length;
+          output.push(css.slice(cursor, valueStart), formatUnquotedUrl(replacement), trailing, ")");
+          cursor = TOKEN_PATTERN.lastIndex;
+          continue;
+        }
+      }
+      functions.push(name);
+      continue;
+    }
+    if (token === "(") {
+      functions.push("(");
+    } else if (token === ")") {
+      functions.pop();
+      if (!functions.length) pendingImport = false;
+    } else {
+      // ; { } end any @import prelude.
+      pendingImport = false;
+      if (token !== ";") functions.length = 0;
+    }
+  }
+  if (!output.length) {
+    return css;
+  }
+  output.push(css.slice(cursor));
+  return output.join("");
+}
+
+function unescapeCss(value) {
+  return value.replace(/\\(?:([0-9a-fA-F]{1,6})\s?|(\r\n|[\n\r\f])|([\s\S]))/g, (match, hex, newline, char) => {
+    if (hex) {
+      const codePoint = parseInt(hex, 16);
+      return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : "�";
+    }
+    return newline ? "" : char;
+  });
+}
+
+function escapeCssString(value, quote) {
+  return value.replace(/\\/g, "\\\\").replace(new RegExp(quote, "g"), `\\${quote}`).replace(/\n/g, "\\a ");
+}
+
+function formatUnquotedUrl(value) {
+  // Unquoted url() cannot hold whitespace, quotes or parentheses; fall back to quoting.
+  return /[\s"'()\\]/.test(value) ? `"${escapeCssString(value, '"')}"` : value;
+}
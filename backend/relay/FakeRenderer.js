@@ -0,0 +1,103 @@
+import { escapeHtmlAttribute } from "./StreamingHtmlRewriter.js";
+
+/**
+ * FakeRenderer.js
+ *
+ * In-process headless backend for tests and for running the relay without a browser
+ * (`POWERTHROUGH_HEADLESS_BACKEND=fake`). It renders nothing: `pages` maps URLs to canned
+ * results (a string body or { status, body, cookies }), or is a function `(job) => result`,
+ * and unknown URLs get a small placeholder document. Every job is kept in `jobs`, so a
+ * test can check what the pool handed over, cookies included. `delay` (ms) makes renders
+ * take time, to exercise the pool's concurrency limit and queue. Captures return a blank
+ * 1×1 PNG or a one-page PDF.
+ */
+
+const BLANK_PNG = Buffer.from(
+  "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8/x8AAwMCAO+ip1sAAAAASUVORK5CYII=",
+  "base64"
+);
+
+export class FakeRenderer {
+  constructor({ pages = {}, delay = 0 } = {}) {
+    this.name = "fake";
+    this.pages = pages;
+    this.delay = delay;
+    this.jobs = [];
+    this.closed = false;
+  }
+
+  async render(job) {
+    this.jobs.push(job);
+    if (this.delay > 0) {
+      await wait(this.delay, job.signal);
+    }
+    job.signal?.throwIfAborted();
+    const page = typeof this.pages === "function" ? await this.pages(job) : this.pages[job.url.href];
+    const result = typeof page === "string" ? { body: page } : page || {};
+    const label = escapeHtmlAttribute(job.url.href);
+    const placeholder = `<!doctype html><html><head><title>${label}</title></head><body><p>Rendered ${label}</p></body></html>`;
+    return {
+      status: result.status ?? 200,
+      headers: [["content-type", "text/html; charset=utf-8"]],
+      body: result.body ?? placeholder,
+      finalUrl: job.url,
+      cookies: result.cookies ?? [],
+    };
+  }
+
+  async capture(job) {
+    const { status, headers, finalUrl, cookies } = await this.render(job);
+    const rendered = { status, headers, finalUrl, cookies };
+    if (job.format === "pdf") {
+      return { ...rendered, buffer: buildPdf(job.url.href), contentType: "application/pdf" };
+    }
+    return { ...rendered, buffer: BLANK_PNG, contentType: "image/png" };
+  }
+
+  async close() {
+    this.closed = true;
+  }
+
+  stats() {
+    return { rendered: this.jobs.length };
+  }
+}
+
+function buildPdf(title) {
+  const text = title.replace(/[\\()]/g, "\\$&");
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    "<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R " +
+      "/Resources << /Font << /F1 5 0 R >> >> >>",
+    null,
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>",
+  ];
+  const stream = `BT /F1 12 Tf 72 720 Td (Rendered ${text}) Tj ET`;
+  objects[3] = `<< /Length ${Buffer.byteLength(stream)} >>\nstream\n${stream}\nendstream`;
+  let pdf = "%PDF-1.4\n";
+  const offsets = objects.map((object, index) => {
+    const offset = Buffer.byteLength(pdf);
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = Buffer.byteLength(pdf);
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`).join("");
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, "latin1");
+}
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      },
+      { once: true }
+    );
+  });
+}
@@ -0,0 +1,277 @@
+/**
+ * HeaderPolicy.js
+ *
+ * Declarative header rules for relay traffic. A policy is a JSON document with an
+ * ordered list of rules; each rule picks messages by direction ("request" headers sent
+ * upstream, "response" headers sent back to the browser), host pattern and content type,
+ * then applies its actions in order:
+ *
+ *   { "remove": "x-frame-options" }                  or a list of names
+ *   { "set": { "origin": "{target.origin}" } }      replace (or create) a header
+ *   { "add": { "x-debug": "1" } }                   append another value
+ *   { "rename": { "x-old": "x-new" } }
+ *   { "rewrite": { "name": "link", "pattern": "…", "flags": "g", "replacement": "…" } }
+ *
+ * Values may reference the target with {target.href}, {target.origin}, {target.host}
+ * and {target.hostname}. Hosts are glob patterns ("*", "example.com", "*.example.com",
+ * "google.*"); content types match on the MIME type, with "text/*" style wildcards.
+ *
+ * Headers the relay itself must own (hop-by-hop, Host, cookies, encodings and lengths)
+ * cannot be touched by rules; a policy that tries is rejected when it is loaded.
+ */
+
+const DIRECTIONS = new Set(["request", "response", "both"]);
+const ACTIONS = new Set(["remove", "set", "add", "rename", "rewrite"]);
+const TEMPLATE_PATTERN = /\{target\.(href|origin|host|hostname)\}/g;
+
+export class HeaderPolicyError extends Error {
+  constructor(message, ruleId) {
+    super(ruleId ? `header rule "${ruleId}": ${message}` : message);
+    this.name = "HeaderPolicyError";
+    this.ruleId = ruleId || null;
+  }
+}
+
+export class HeaderPolicy {
+  constructor({ protectedHeaders = [] } = {}) {
+    this.protectedHeaders = new Set(protectedHeaders.map((name) => name.toLowerCase()));
+    this.rules = [];
+    this.fired = new Map();
+  }
+
+  /**
+   * Compiles `config` ({ rules: [...] }) and swaps it in. Throws HeaderPolicyError and
+   * leaves the current rules in place when anything is invalid.
+   */
+  load(config) {
+    if (!config || !Array.isArray(config.rules)) {
+      throw new HeaderPolicyError("policy must be an object with a rules array");
+    }
+    const ids = new Set();
+    const rules = config.rules.map((rule, index) => {
+      const compiled = this._compileRule(rule, index);
+      if (ids.has(compiled.id)) {
+        throw new HeaderPolicyError("duplicate rule id", compiled.id);
+      }
+      ids.add(compiled.id);
+      return compiled;
+    });
+    this.rules = rules;
+    this.fired = new Map(rules.map((rule) => [rule.id, this.fired.get(rule.id) || 0]));
+    return this;
+  }
+
+  /**
+   * Applies every matching rule to `headers` (an array of [name, value] pairs) in place.
+   * Returns the ids of the rules that fired.
+   */
+  apply(direction, headers, { url, contentType = "" } = {}) {
+    const target = toUrl(url);
+    const fired = [];
+    for (const rule of this.rules) {
+      if (this._skipReason(rule, direction, target, contentType)) continue;
+      rule.actions.forEach((action) => applyAction(headers, action, target));
+      this.fired.set(rule.id, (this.fired.get(rule.id) || 0) + 1);
+      fired.push(rule.id);
+    }
+    return fired;
+  }
+
+  /**
+   * Dry run: reports for every rule of `direction` whether it would fire for `url`, why
+   * not, and its actions with the target placeholders filled in. Nothing is counted.
+   */
+  explain(direction, { url, contentType } = {}) {
+    const target = toUrl(url);
+    return this.rules
+      .filter((rule) => rule.direction === direction || rule.direction === "both")
+      .map((rule) => {
+        const skipped = this._skipReason(rule, direction, target, contentType);
+        return {
+          id: rule.id,
+          description: rule.description,
+          fires: !skipped,
+          skipped,
+          hosts: rule.hosts,
+          contentTypes: rule.contentTypes,
+          actions: rule.actions.map((action) => describeAction(action, target)),
+        };
+      });
+  }
+
+  stats() {
+    return { rules: this.rules.length, fired: Object.fromEntries(this.fired) };
+  }
+
+  _skipReason(rule, direction, target, contentType) {
+    if (rule.direction !== direction && rule.direction !== "both") {
+      return "direction";
+    }
+    if (rule.hostPatterns && !rule.hostPatterns.some((pattern) => pattern.test(target?.hostname || ""))) {
+      return "host";
+    }
+    if (rule.contentTypes) {
+      const mimeType = String(contentType || "").split(";")[0].trim().toLowerCase();
+      if (!mimeType || !rule.contentTypes.some((type) => mimeTypeMatches(mimeType, type))) {
+        return "content-type";
+      }
+    }
+    return null;
+  }
+
+  _compileRule(rule, index) {
+    if (!rule || typeof rule !== "object") {
+      throw new HeaderPolicyError(`rule #${index} must be an object`);
+    }
+    const id = String(rule.id || `rule-${index + 1}`);
+    const direction = rule.direction || "response";
+    if (!DIRECTIONS.has(direction)) {
+      throw new HeaderPolicyError(`unknown direction "${direction}"`, id);
+    }
+    const hosts = toList(rule.hosts);
+    const contentTypes = toList(rule.contentTypes).map((type) => type.toLowerCase());
+    if (!Array.isArray(rule.actions) || !rule.actions.length) {
+      throw new HeaderPolicyError("needs at least one action", id);
+    }
+    return {
+      id,
+      description: rule.description || "",
+      direction,
+      hosts: hosts.length ? hosts : null,
+      hostPatterns: hosts.length && !hosts.includes("*") ? hosts.map(compileHostPattern) : null,
+      contentTypes: contentTypes.length ? contentTypes : null,
+      actions: rule.actions.flatMap((action) => this._compileAction(action, id)),
+    };
+  }
+
+  _compileAction(action, ruleId) {
+    const keys = Object.keys(action || {});
+    if (keys.length !== 1 || !ACTIONS.has(keys[0])) {
+      throw new HeaderPolicyError(`each action needs exactly one of ${[...ACTIONS].join(", ")}`, ruleId);
+    }
+    const [type] = keys;
+    const value = action[type];
+    const guard = (name) => {
+      const lower = String(name || "").trim().toLowerCase();
+      if (!lower) {
+        throw new HeaderPolicyError(`${type} needs a header name`, ruleId);
+      }
+      if (this.protectedHeaders.has(lower)) {
+        throw new HeaderPolicyError(`"${lower}" is managed by the relay and cannot be changed`, ruleId);
+      }
+      return lower;
+    };
+    if (type === "remove") {
+      return toList(value).map((name) => ({ type, name: guard(name) }));
+    }
+    if (type === "rewrite") {
+      const name = guard(value?.name);
+      try {
+        return [
+          {
+            type,
+            name,
+            pattern: new RegExp(value.pattern, value.flags || ""),
+            replacement: String(value.replacement ?? ""),
+          },
+        ];
+      } catch (error) {
+        throw new HeaderPolicyError(`invalid rewrite pattern: ${error.message}`, ruleId);
+      }
+    }
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+      throw new HeaderPolicyError(`${type} expects an object of header names`, ruleId);
+    }
+    return Object.entries(value).map(([name, target]) =>
+      type === "rename"
+        ? { type, name: guard(name), to: guard(target) }
+        : { type, name: guard(name), value: String(target) }
+    );
+  }
+}
+
+function applyAction(headers, action, target) {
+  const matches = (entry) => entry[0].toLowerCase() === action.name;
+  if (action.type === "remove") {
+    removeWhere(headers, matches);
+  } else if (action.type === "set") {
+    removeWhere(headers, matches);
+    headers.push([action.name, fillTemplate(action.value, target)]);
+  } else if (action.type === "add") {
+    headers.push([action.name, fillTemplate(action.value, target)]);
+  } else if (action.type === "rename") {
+    headers.forEach((entry) => {
+      if (matches(entry)) entry[0] = action.to;
+    });
+  } else if (action.type === "rewrite") {
+    headers.forEach((entry) => {
+      if (matches(entry)) {
+        action.pattern.lastIndex = 0;
+        entry[1] = String(entry[1]).replace(action.pattern, fillTemplate(action.replacement, target));
+      }
+    });
+  }
+}
+
+function describeAction(action, target) {
+  switch (action.type) {
+    case "remove":
+      return `remove ${action.name}`;
+    case "rename":
+      return `rename ${action.name} -> ${action.to}`;
+    case "rewrite":
+      return `rewrite ${action.name}: ${action.pattern} -> "${fillTemplate(action.replacement, target)}"`;
+    default:
+      return `${action.type} ${action.name}: ${fillTemplate(action.value, target)}`;
+  }
+}
+
+function removeWhere(headers, predicate) {
+  for (let i = headers.length - 1; i >= 0; i -= 1) {
+    if (predicate(headers[i])) {
+      headers.splice(i, 1);
+    }
+  }
+}
+
+function fillTemplate(value, target) {
+  if (!target) {
+    return value;
+  }
+  return value.replace(TEMPLATE_PATTERN, (_match, key) => target[key]);
+}
+
+/**
+ * Turns a host glob ("*", "example.com", "*.example.com", "google.*") into an anchored,
+ * case-insensitive RegExp. `*` spans any number of labels.
+ */
+export function compileHostPattern(pattern) {
+  const source = String(pattern)
+    .trim()
+    .toLowerCase()
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${source}$`, "i");
+}
+
+function mimeTypeMatches(mimeType, pattern) {
+  if (pattern === "*" || pattern === "*/*") {
+    return true;
+  }
+  return pattern.endsWith("/*") ? mimeType.startsWith(pattern.slice(0, -1)) : mimeType === pattern;
+}
+
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return (Array.isArray(value) ? value : [value]).map((entry) => String(entry).trim()).filter(Boolean);
+}
+
+function toUrl(value) {
+  if (!value) return null;
+  try {
+    return value instanceof URL ? value : new URL(String(value));
+  } catch {
+    return null;
+  }
+}
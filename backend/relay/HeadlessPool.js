@@ -0,0 +1,157 @@
+/**
+ * HeadlessPool.js
+ *
+ * Runs headless render jobs against one renderer backend with at most `maxConcurrency`
+ * in flight. Jobs over the limit wait in a FIFO queue that is bounded in length and in
+ * wait time; anything it cannot take fails fast with a HeadlessQueueError, and a job
+ * whose caller aborts while queued simply leaves the queue.
+ *
+ * A renderer backend is any object with
+ *
+ *   name                          // shown in stats
+ *   render(job) → Promise<{ status, headers, body, finalUrl, cookies }>
+ *   capture(job) → Promise<{ status, headers, buffer, contentType, finalUrl, cookies }>
+ *   close() → Promise             // optional
+ *   stats() → object              // optional, merged into the pool's stats
+ *
+ * where `job` is { url, deviceKey, cookies, timeout, signal }, plus { format, fullPage,
+ * viewport, waitForSelector } for captures. `cookies` are the device jar's cookies to
+ * load before navigating; the result's `cookies` are the ones the page added, changed or
+ * removed, as { url, setCookie } pairs for the jar.
+ * PlaywrightRenderer.js is the real backend and FakeRenderer.js an in-process stand-in.
+ */
+
+export class HeadlessQueueError extends Error {
+  constructor(reason, limit) {
+    super(
+      reason === "full"
+        ? `${limit} render jobs are already waiting for the headless renderer`
+        : `The headless renderer did not become free within ${limit}ms`
+    );
+    this.name = "HeadlessQueueError";
+    this.code = "ERR_COFFEESHOP_HEADLESS_QUEUE";
+    this.reason = reason;
+  }
+}
+
+export class HeadlessPool {
+  constructor({ backend, maxConcurrency = 2, maxQueue = 16, queueTimeout = 15_000 } = {}) {
+    this.backend = backend;
+    this.maxConcurrency = Math.max(1, maxConcurrency);
+    this.maxQueue = Math.max(0, maxQueue);
+    this.queueTimeout = queueTimeout;
+    this.active = 0;
+    this.queue = [];
+    this.totals = {
+      started: 0,
+      completed: 0,
+      failed: 0,
+      queued: 0,
+      rejectedFull: 0,
+      rejectedTimeout: 0,
+      abortedWhileQueued: 0,
+    };
+  }
+
+  /**
+   * Runs `task(backend)` once a slot is free and settles with its result. `signal`
+   * withdraws the job while it is still queued; once started, the task itself is
+   * expected to watch the signal.
+   */
+  run(task, { signal } = {}) {
+    if (signal?.aborted) {
+      return Promise.reject(signal.reason);
+    }
+    if (this.active < this.maxConcurrency) {
+      return this._start(task);
+    }
+    if (this.queue.length >= this.maxQueue) {
+      this.totals.rejectedFull += 1;
+      return Promise.reject(new HeadlessQueueError("full", this.maxQueue));
+    }
+    return new Promise((resolve, reject) => {
+      const entry = { task, resolve, reject, signal, timer: null, onAbort: null };
+      entry.timer = setTimeout(() => {
+        this._withdraw(entry);
+        this.totals.rejectedTimeout += 1;
+        reject(new HeadlessQueueError("timeout", this.queueTimeout));
+      }, this.queueTimeout);
+      entry.onAbort = () => {
+        this._withdraw(entry);
+        this.totals.abortedWhileQueued += 1;
+        reject(signal.reason);
+      };
+      signal?.addEventListener("abort", entry.onAbort, { once: true });
+      this.queue.push(entry);
+      this.totals.queued += 1;
+    });
+  }
+
+  /**
+   * Rejects everything still queued and closes the backend.
+   */
+  async close() {
+    for (const entry of this.queue.splice(0)) {
+      clearTimeout(entry.timer);
+      entry.signal?.removeEventListener("abort", entry.onAbort);
+      entry.reject(new Error("The headless renderer is shutting down"));
+    }
+    await this.backend?.close?.();
+  }
+
+  stats() {
+    return {
+      backend: this.backend?.name ?? null,
+      maxConcurrency: this.maxConcurrency,
+      maxQueue: this.maxQueue,
+      queueTimeoutMs: this.queueTimeout,
+      active: this.active,
+      waiting: this.queue.length,
+      ...this.totals,
+      ...(this.backend?.stats?.() ?? {}),
+    };
+  }
+
+  _start(task) {
+    this.active += 1;
+    this.totals.started += 1;
+    return Promise.resolve()
+      .then(() => task(this.backend))
+      .then(
+        (result) => {
+          this.totals.completed += 1;
+          return result;
+        },
+        (error) => {
+          this.totals.failed += 1;
+          throw error;
+        }
+      )
+      .finally(() => {
+        this.active -= 1;
+        this._drain();
+      });
+  }
+
+  _drain() {
+    while (this.active < this.maxConcurrency && this.queue.length) {
+      const entry = this.queue.shift();
+      clearTimeout(entry.timer);
+      entry.signal?.removeEventListener("abort", entry.onAbort);
+      entry.resolve(this._start(entry.task));
+    }
+  }
+
+  _withdraw(entry) {
+    clearTimeout(entry.timer);
+    entry.signal?.removeEventListener("abort", entry.onAbort);
+    const index = this.queue.indexOf(entry);
+    if (index !== -1) {
+      this.queue.splice(index, 1);
+    }
+  }
+}
+
+export function isHeadlessQueueError(error) {
+  return error?.code === "ERR_COFFEESHOP_HEADLESS_QUEUE";
+}
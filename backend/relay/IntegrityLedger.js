@@ -0,0 +1,112 @@
+import { createHash } from "node:crypto";
+
+/**
+ * IntegrityLedger.js
+ *
+ * Subresource Integrity bookkeeping for rewritten documents. Whenever the relay serves a
+ * stylesheet or script it records whether the bytes it sent differ from the upstream's
+ * and, if they do, the digests of both. The HTML rewriter then settles each `integrity`
+ * attribute it meets:
+ *
+ * - keep: the resource was relayed byte-for-byte, so the page's hash still holds.
+ * - recompute: the relay rewrote it; when the upstream body matched the page's hash, the
+ *   attribute is replaced with the hash of the relayed body, so tampering between the
+ *   relay and the browser is still caught.
+ * - drop: the relay has not seen the resource yet and may rewrite it, so a hash of the
+ *   upstream bytes would block it.
+ *
+ * A page hash that the upstream body itself fails is left as is: the browser blocks the
+ * resource exactly as it would without the relay.
+ */
+
+const ALGORITHMS = ["sha512", "sha384", "sha256"];
+
+export class IntegrityLedger {
+  constructor({ maxEntries = 1000 } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.stats = { recorded: 0, kept: 0, recomputed: 0, dropped: 0 };
+  }
+
+  /**
+   * Records one relayed body. `original` is the upstream payload after content decoding
+   * (what SRI hashes cover), `delivered` the bytes the relay sent on.
+   */
+  record(url, original, delivered) {
+    const key = String(url);
+    const modified = !original.equals(delivered);
+    this.entries.delete(key);
+    this.entries.set(
+      key,
+      modified ? { modified, original: digestAll(original), delivered: digestAll(delivered) } : { modified }
+    );
+    this.stats.recorded += 1;
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Decides what happens to `integrity` on an element loading `url`. `rewritable` says
+   * whether the relay transforms that kind of resource (scripts and stylesheets).
+   * Returns { action, integrity, reason }, with `integrity` null when it is dropped.
+   */
+  resolve(url, integrity, { rewritable = true } = {}) {
+    const expected = parseIntegrity(integrity);
+    if (!expected) {
+      // Browsers ignore metadata without a supported algorithm; so do we.
+      return this._decide("keep", integrity, "no supported hash");
+    }
+    const entry = this.entries.get(String(url));
+    if (!entry) {
+      return rewritable
+        ? this._decide("drop", null, "not relayed yet; the relay may rewrite it")
+        : this._decide("keep", integrity, "relayed byte-for-byte");
+    }
+    if (!entry.modified) {
+      return this._decide("keep", integrity, "relayed byte-for-byte");
+    }
+    if (!expected.digests.includes(entry.original[expected.algorithm])) {
+      return this._decide("keep", integrity, "upstream body does not match the page's hash");
+    }
+    return this._decide(
+      "recompute",
+      `${expected.algorithm}-${entry.delivered[expected.algorithm]}`,
+      "rewritten by the relay; upstream body matched"
+    );
+  }
+
+  _decide(action, integrity, reason) {
+    if (action === "keep") this.stats.kept += 1;
+    else if (action === "recompute") this.stats.recomputed += 1;
+    else this.stats.dropped += 1;
+    return { action, integrity, reason };
+  }
+}
+
+/**
+ * Parses integrity metadata and keeps the strongest algorithm present, the only one a
+ * browser checks (SRI §3.3.3). Returns { algorithm, digests } or null.
+ */
+export function parseIntegrity(value) {
+  const hashes = String(value || "")
+    .trim()
+    .split(/\s+/)
+    .map((token) => /^(sha256|sha384|sha512)-([A-Za-z0-9+/_-]+={0,2})(?:\?.*)?$/i.exec(token))
+    .filter(Boolean)
+    .map(([, algorithm, digest]) => ({ algorithm: algorithm.toLowerCase(), digest: normalizeDigest(digest) }));
+  const algorithm = ALGORITHMS.find((name) => hashes.some((hash) => hash.algorithm === name));
+  if (!algorithm) {
+    return null;
+  }
+  return { algorithm, digests: hashes.filter((hash) => hash.algorithm === algorithm).map((hash) => hash.digest) };
+}
+
+function digestAll(buffer) {
+  return Object.fromEntries(ALGORITHMS.map((algorithm) => [algorithm, createHash(algorithm).update(buffer).digest("base64")]));
+}
+
+function normalizeDigest(digest) {
+  // Browsers accept the base64url alphabet as well.
+  return digest.replace(/-/g, "+").replace(/_/g, "/");
+}
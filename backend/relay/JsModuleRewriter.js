@@ -0,0 +1,258 @@
+import { createHash } from "node:crypto";
+import { init as initModuleLexer, parse as parseModule } from "es-module-lexer";
+
+/**
+ * JsModuleRewriter.js
+ *
+ * Rewrites the URL-bearing constructs the client-side interceptor cannot reach:
+ * static `import`/`export ... from` specifiers, dynamic `import()`, `new Worker()` /
+ * `new SharedWorker()`, `importScripts()` and `location.href = ...` assignments. Lexing is the expensive part, so the
+ * list of edit sites is cached by body hash; resolving those sites against a base URL
+ * is cheap and happens on every request.
+ *
+ * es-module-lexer only reports imports. The other constructs are found with patterns
+ * over the raw source, so a light tokenizer marks where strings, template text,
+ * comments and regex literals lie and matches starting inside them are dropped.
+ */
+
+const WORKER_PATTERN = /\bnew\s+(?:Shared)?Worker\s*\(\s*(["'`])([^"'`\n\\]+)\1/g;
+const IMPORT_SCRIPTS_PATTERN = /\bimportScripts\s*\(([^)]*)\)/g;
+const STRING_LITERAL_PATTERN = /(["'])([^"'\n\\]+)\1/g;
+const RUNTIME_RESOLVER = "(globalThis.__coffeeshopRewriteUrl || String)";
+// `location.href = x`, `window.location = x` and friends. Bare `location = x` is too
+// often a local variable, and top/parent may be another origin, so neither is matched.
+const LOCATION_ASSIGNMENT_PATTERN =
+  /(?<![\w$.])(?:(?:window|self|globalThis|document)\.location(?:\.href)?|location\.href)(?=\s*=(?!=))/g;
+// Starts with an identifier like the code it replaces, so automatic semicolon insertion
+// still ends the previous statement; pages without the interceptor (workers) keep
+// their own location.
+const LOCATION_TARGET = 'globalThis[globalThis.__coffeeshopLocation ? "__coffeeshopLocation" : "location"].href';
+const JS_TOKEN_PATTERN =
+  /\/\/[^\n\r]*|\/\*[\s\S]*?(?:\*\/|$)|(["'])(?:[^"'\\\n]|\\[\s\S]|(?!\1)["'])*(?:\1|(?=\n)|$)|[\w$]+|[^\s\w$]/g;
+const TEMPLATE_CHUNK_PATTERN = /(?:[^`\\$]|\\[\s\S]|\$(?!\{))*(?:`|\$\{|$)/y;
+const REGEX_LITERAL_PATTERN = /\/(?:[^/\\[\n]|\\.|\[(?:[^\]\\\n]|\\.)*\])+\/[a-z]*/y;
+// A `/` after one of these starts a regex literal rather than dividing.
+const KEYWORDS_BEFORE_EXPRESSION = new Set([
+  "return", "typeof", "instanceof", "in", "of", "new", "delete", "void", "throw", "case", "do", "else", "yield", "await",
+]);
+
+await initModuleLexer;
+
+export class JsModuleRewriter {
+  constructor({ rewriteUrl, maxEntries = 200, maxSourceBytes = 4 * 1024 * 1024 } = {}) {
+    this.rewriteUrl = rewriteUrl;
+    this.maxEntries = maxEntries;
+    this.maxSourceBytes = maxSourceBytes;
+    this.sites = new Map();
+    this.stats = { transforms: 0, cacheHits: 0, cacheMisses: 0, lexerFailures: 0 };
+  }
+
+  /**
+   * Returns `source` with every rewritable specifier routed through the relay.
+   * Specifiers are resolved against `baseUrl` (the script's own URL, or the document
+   * URL for inline module scripts). Bare module specifiers are left for import maps;
+   * importScripts() arguments are plain URLs and are always resolved.
+   */
+  rewrite(source, baseUrl) {
+    if (!source) {
+      return source;
+    }
+    this.stats.transforms += 1;
+    const sites = this._getSites(source);
+    if (!sites.length) {
+      return source;
+    }
+    let output = "";
+    let cursor = 0;
+    for (const site of sites) {
+      const replacement = this._renderSite(site, source, baseUrl);
+      if (replacement === null) continue;
+      output += source.slice(cursor, site.start) + replacement;
+      cursor = site.end;
+    }
+    return output + source.slice(cursor);
+  }
+
+  _renderSite(site, source, baseUrl) {
+    if (site.kind === "location") {
+      return LOCATION_TARGET;
+    }
+    if (site.kind === "expression") {
+      return `${RUNTIME_RESOLVER}(${source.slice(site.start, site.end)})`;
+    }
+    const proxied = this._proxySpecifier(site.specifier, baseUrl, site.urlLike);
+    if (!proxied) {
+      return null;
+    }
+    return site.quote ? `${site.quote}${proxied}${site.quote}` : proxied;
+  }
+
+  _proxySpecifier(specifier, baseUrl, urlLike = false) {
+    if (!specifier || specifier.startsWith("/powerthrough")) {
+      return null;
+    }
+    if (urlLike ? /^(?:data|blob|javascript):/i.test(specifier) : !/^(?:\.{0,2}\/|https?:)/i.test(specifier)) {
+      return null;
+    }
+    try {
+      const resolved = new URL(specifier, baseUrl);
+      return ["http:", "https:"].includes(resolved.protocol) ? this.rewriteUrl(resolved.toString()) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  _getSites(source) {
+    const cacheable = source.length <= this.maxSourceBytes;
+    const key = cacheable ? createHash("sha1").update(source).digest("hex") : null;
+    if (key && this.sites.has(key)) {
+      const sites = this.sites.get(key);
+      this.sites.delete(key);
+      this.sites.set(key, sites);
+      this.stats.cacheHits += 1;
+      return sites;
+    }
+    this.stats.cacheMisses += 1;
+    const sites = this._collectSites(source);
+    if (key) {
+      this.sites.set(key, sites);
+      while (this.sites.size > this.maxEntries) {
+        this.sites.delete(this.sites.keys().next().value);
+      }
+    }
+    return sites;
+  }
+
+  _collectSites(source) {
+    const sites = [];
+    try {
+      const [imports] = parseModule(source);
+      for (const entry of imports) {
+        if (entry.d === -1) {
+          sites.push({ kind: "specifier", start: entry.s, end: entry.e, specifier: entry.n, quote: "" });
+        } else if (entry.d >= 0 && entry.n !== undefined) {
+          sites.push({ kind: "specifier", start: entry.s, end: entry.e, specifier: entry.n, quote: source[entry.s] });
+        } else if (entry.d >= 0) {
+          sites.push({ kind: "expression", start: entry.s, end: entry.e });
+        }
+      }
+    } catch {
+      // Not lexable as JavaScript we understand; fall back to the Worker/importScripts scan.
+      this.stats.lexerFailures += 1;
+    }
+    let textRanges = null;
+    const inCode = (index) => !isInsideRange((textRanges ??= findTextRanges(source)), index);
+    // Worker URLs resolve against the document rather than the script, which only the
+    // page knows, so they go through the interceptor's resolver at runtime.
+    for (const match of source.matchAll(WORKER_PATTERN)) {
+      if (!inCode(match.index)) continue;
+      const start = match.index + match[0].length - match[2].length - 2;
+      sites.push({ kind: "expression", start, end: start + match[2].length + 2 });
+    }
+    for (const match of source.matchAll(IMPORT_SCRIPTS_PATTERN)) {
+      if (!inCode(match.index)) continue;
+      const argsStart = match.index + match[0].indexOf("(") + 1;
+      for (const literal of match[1].matchAll(STRING_LITERAL_PATTERN)) {
+        const start = argsStart + literal.index;
+        // A quoted URL inside a comment between the arguments.
+        if (!inCode(start - 1)) continue;
+        sites.push({
+          kind: "specifier",
+          start,
+          end: start + literal[0].length,
+          specifier: literal[2],
+          quote: literal[1],
+          urlLike: true,
+        });
+      }
+    }
+    // The href setter cannot be patched in the page, so the assignment goes through the
+    // interceptor's stand-in location instead.
+    for (const match of source.matchAll(LOCATION_ASSIGNMENT_PATTERN)) {
+      if (!inCode(match.index)) continue;
+      sites.push({ kind: "location", start: match.index, end: match.index + match[0].length });
+    }
+    return dropOverlappingSites(sites.sort((a, b) => a.start - b.start));
+  }
+}
+
+/**
+ * Sorted [start, end) ranges of `source` that hold text rather than code: comments,
+ * string literals, the literal parts of template strings and regex literals. Template
+ * substitutions are code again. A `/` counts as a regex after punctuation or a keyword
+ * and as division after an identifier, number or closing bracket, which is right for
+ * everything but pathological code.
+ */
+function findTextRanges(source) {
+  const ranges = [];
+  // One entry per open `{`: true when it is a template `${` substitution.
+  const braces = [];
+  let regexAllowed = true;
+  const scanTemplate = (start, from) => {
+    TEMPLATE_CHUNK_PATTERN.lastIndex = from;
+    const [chunk] = TEMPLATE_CHUNK_PATTERN.exec(source);
+    ranges.push([start, from + chunk.length]);
+    if (chunk.endsWith("${")) braces.push(true);
+    JS_TOKEN_PATTERN.lastIndex = from + chunk.length;
+    regexAllowed = chunk.endsWith("${");
+  };
+  JS_TOKEN_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = JS_TOKEN_PATTERN.exec(source))) {
+    const [token, quote] = match;
+    const start = match.index;
+    if (token.startsWith("//") || token.startsWith("/*")) {
+      ranges.push([start, start + token.length]);
+    } else if (quote) {
+      ranges.push([start, start + token.length]);
+      regexAllowed = false;
+    } else if (token === "`") {
+      scanTemplate(start, start + 1);
+    } else if (token === "}" && braces.pop()) {
+      scanTemplate(start, start + 1);
+    } else if (token === "/" && regexAllowed) {
+      REGEX_LITERAL_PATTERN.lastIndex = start;
+      const literal = REGEX_LITERAL_PATTERN.exec(source);
+      if (literal) {
+        ranges.push([start, start + literal[0].length]);
+        JS_TOKEN_PATTERN.lastIndex = start + literal[0].length;
+        regexAllowed = false;
+      }
+    } else if (/^[\w$]/.test(token)) {
+      regexAllowed = KEYWORDS_BEFORE_EXPRESSION.has(token);
+    } else {
+      if (token === "{") braces.push(false);
+      regexAllowed = !/^[)\]}]$/.test(token);
+    }
+  }
+  return ranges;
+}
+
+function isInsideRange(ranges, index) {
+  let low = 0;
+  let high = ranges.length - 1;
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    const [start, end] = ranges[middle];
+    if (index < start) high = middle - 1;
+    else if (index >= end) low = middle + 1;
+    else return true;
+  }
+  return false;
+}
+
+function dropOverlappingSites(sites) {
+  const result = [];
+  let lastEnd = -1;
+  for (const site of sites) {
+    if (site.start >= lastEnd) {
+      result.push(site);
+      lastEnd = site.end;
+    }
+  }
+  return result;
+}
+
+export function isJavaScriptContentType(contentType = "") {
+  return /(?:java|ecma)script|\/jsx?\b/i.test(contentType);
+}
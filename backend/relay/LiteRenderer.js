@@ -0,0 +1,213 @@
+import { load as loadHtml } from "cheerio";
+import { rewriteCssUrlReferences } from "./CssUrlRewriter.js";
+
+/**
+ * LiteRenderer.js
+ *
+ * The "lite" personality: turns an upstream document into a static, cheap page before
+ * the relay rewrites its URLs.
+ *
+ * - page scripts, frames, plugins and autoplaying media are removed; <noscript>
+ *   fallbacks are unwrapped since they are what the page shows without scripts
+ * - web fonts go: font preloads and every @font-face rule
+ * - the first stylesheets (in document order, up to `cssBudgetBytes`) are fetched and
+ *   inlined so the page renders without further round trips; their relative URLs are
+ *   made absolute against the stylesheet so they still resolve once inlined
+ * - images lose srcset candidates and load lazily; images whose upstream size is above
+ *   `maxImageBytes` are replaced by a link to the image
+ * - <meta> Content-Security-Policy goes; the caller answers with its own policy
+ *
+ * Network access is injected: `loadStylesheet(url)` resolves to CSS text or null and
+ * `probeImageBytes(url)` to a byte count or null, so the caller decides how upstreams
+ * are reached.
+ */
+
+const SCRIPT_LINK_TYPES = new Set(["modulepreload"]);
+const PRELOAD_DROPPED_AS = new Set(["script", "font", "worker", "fetch"]);
+const IMAGE_PROBE_LIMIT = 40;
+const STYLESHEET_LIMIT = 12;
+
+export async function renderLiteDocument(
+  html,
+  { baseUrl, loadStylesheet, probeImageBytes, cssBudgetBytes = 100_000, maxImageBytes = 150_000 } = {}
+) {
+  // Parse as if scripting were off so <noscript> content becomes real markup.
+  const $ = loadHtml(html, { scriptingEnabled: false });
+  const documentBase = resolveDocumentBase($, baseUrl);
+  const stats = {
+    scripts: 0,
+    frames: 0,
+    media: 0,
+    fonts: 0,
+    stylesheetsInlined: 0,
+    inlinedCssBytes: 0,
+    imagesLazy: 0,
+    imagesDropped: 0,
+  };
+
+  stats.scripts += $("script").length;
+  $("script").remove();
+  $("noscript").each((_index, element) => {
+    $(element).replaceWith($(element).contents());
+  });
+  stats.frames += $("iframe, frame, frameset, object, embed, applet").length;
+  $("iframe, frame, frameset, object, embed, applet").remove();
+  stats.media += $("video[autoplay], audio[autoplay]").length;
+  $("video[autoplay], audio[autoplay]").remove();
+  stripScriptAttributes($);
+  // The relay sends its own policy with lite pages; a page-level one would block the
+  // inlined stylesheets.
+  $("meta[http-equiv]")
+    .filter((_index, element) => /^content-security-policy/i.test($(element).attr("http-equiv").trim()))
+    .remove();
+
+  $("link").each((_index, element) => {
+    const link = $(element);
+    const rel = relTokens(link);
+    const as = (link.attr("as") || "").toLowerCase();
+    if ([...rel].some((token) => SCRIPT_LINK_TYPES.has(token)) || (rel.has("preload") && PRELOAD_DROPPED_AS.has(as))) {
+      if (as === "font") stats.fonts += 1;
+      link.remove();
+    }
+  });
+
+  await inlineStylesheets($, { documentBase, loadStylesheet, cssBudgetBytes, stats });
+  $("style").each((_index, element) => {
+    const style = $(element);
+    const css = style.text();
+    const stripped = stripFontFaces(css, stats);
+    if (stripped !== css) {
+      style.text(stripped);
+    }
+  });
+
+  await lightenImages($, { documentBase, probeImageBytes, maxImageBytes, stats });
+  return { html: $.html(), stats };
+}
+
+/**
+ * Removes every @font-face block. Font descriptors never contain nested blocks, so the
+ * first closing brace ends the rule.
+ */
+export function stripFontFaces(css, stats = null) {
+  return css.replace(/@font-face\s*\{[^}]*\}/gi, () => {
+    if (stats) stats.fonts += 1;
+    return "";
+  });
+}
+
+async function inlineStylesheets($, { documentBase, loadStylesheet, cssBudgetBytes, stats }) {
+  const links = $("link")
+    .toArray()
+    .filter((element) => relTokens($(element)).has("stylesheet") && !relTokens($(element)).has("alternate"))
+    .slice(0, STYLESHEET_LIMIT);
+  const sheets = await Promise.all(
+    links.map(async (element) => {
+      const url = resolveUrl($(element).attr("href"), documentBase);
+      if (!url || !loadStylesheet) return null;
+      try {
+        return { url, css: await loadStylesheet(url) };
+      } catch {
+        return null;
+      }
+    })
+  );
+  let budget = cssBudgetBytes;
+  links.forEach((element, index) => {
+    const link = $(element);
+    const media = (link.attr("media") || "").trim();
+    if (/^print$/i.test(media)) {
+      link.remove();
+      return;
+    }
+    const sheet = sheets[index];
+    if (!sheet?.css) return;
+    let css = stripFontFaces(absolutizeCssUrls(sheet.css, sheet.url), stats);
+    if (media && !/^all$/i.test(media)) {
+      css = `@media ${media} {\n${css}\n}`;
+    }
+    const bytes = Buffer.byteLength(css);
+    if (bytes > budget) return;
+    budget -= bytes;
+    stats.stylesheetsInlined += 1;
+    stats.inlinedCssBytes += bytes;
+    const style = $("<style></style>");
+    style.attr("data-coffeeshop-inlined", sheet.url.href);
+    style.text(css);
+    link.replaceWith(style);
+  });
+}
+
+async function lightenImages($, { documentBase, probeImageBytes, maxImageBytes, stats }) {
+  $("picture source, img").removeAttr("srcset").removeAttr("sizes");
+  $("picture source").remove();
+  const images = $("img").toArray();
+  const sizes = await Promise.all(
+    images.map(async (element, index) => {
+      const src = $(element).attr("src") || "";
+      if (src.startsWith("data:")) return src.length;
+      const url = resolveUrl(src, documentBase);
+      if (!url || !probeImageBytes || index >= IMAGE_PROBE_LIMIT) return null;
+      try {
+        return await probeImageBytes(url);
+      } catch {
+        return null;
+      }
+    })
+  );
+  images.forEach((element, index) => {
+    const image = $(element);
+    const bytes = sizes[index];
+    if (maxImageBytes > 0 && Number.isFinite(bytes) && bytes > maxImageBytes) {
+      const label = image.attr("alt")?.trim() || "Image";
+      const link = $("<a></a>");
+      link.attr("href", image.attr("src"));
+      link.attr("class", "coffeeshop-lite-image");
+      link.text(`[${label} · ${Math.round(bytes / 1024)} KB]`);
+      image.replaceWith(link);
+      stats.imagesDropped += 1;
+      return;
+    }
+    image.attr("loading", "lazy");
+    image.attr("decoding", "async");
+    stats.imagesLazy += 1;
+  });
+}
+
+function stripScriptAttributes($) {
+  $("*").each((_index, element) => {
+    for (const name of Object.keys(element.attribs || {})) {
+      if (/^on/i.test(name)) {
+        $(element).removeAttr(name);
+      }
+    }
+  });
+  $('[href^="javascript:" i]').removeAttr("href");
+}
+
+function absolutizeCssUrls(css, stylesheetUrl) {
+  return rewriteCssUrlReferences(css, (url) => {
+    const value = url.trim();
+    if (!value || value.startsWith("#") || /^(data|blob):/i.test(value)) return null;
+    return resolveUrl(value, stylesheetUrl)?.href ?? null;
+  });
+}
+
+function resolveDocumentBase($, baseUrl) {
+  const href = $("base[href]").first().attr("href");
+  return (href && resolveUrl(href, baseUrl)) || baseUrl;
+}
+
+function resolveUrl(value, baseUrl) {
+  if (!value) return null;
+  try {
+    const url = new URL(value, baseUrl);
+    return ["http:", "https:"].includes(url.protocol) ? url : null;
+  } catch {
+    return null;
+  }
+}
+
+function relTokens(link) {
+  return new Set((link.attr("rel") || "").toLowerCase().split(/\s+/).filter(Boolean));
+}
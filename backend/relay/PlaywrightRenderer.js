@@ -0,0 +1,316 @@
+/**
+ * PlaywrightRenderer.js
+ *
+ * Headless renderer backend on Playwright's Chromium (see HeadlessPool.js for the
+ * interface). `playwright` is an optional dependency: it is imported, and the browser
+ * launched, on the first render, and a browser that dies is relaunched on the next one.
+ *
+ * Browser contexts are reused per device (`job.deviceKey`) instead of being created per
+ * render, which saves most of the start-up cost; the least recently used idle context is
+ * closed once more than `maxContexts` exist, and any context idle for
+ * `contextIdleTimeout` ms is closed too. Before every render the context's cookies are
+ * replaced with the device jar's, so clearing cookies in the jar also clears them here,
+ * and whatever the page set or deleted comes back as Set-Cookie lines for the jar. The
+ * cookie store belongs to the whole context, so renders for one device run one at a
+ * time; different devices still render side by side.
+ *
+ * The browser opens its own sockets, so the relay's address guard cannot sit in its DNS
+ * lookup. Instead every request and WebSocket the page opens is checked with
+ * `allowRequest(url)` (throw to refuse) and aborted when refused.
+ */
+
+export class HeadlessUnavailableError extends Error {
+  constructor(cause) {
+    super(`Headless rendering is unavailable: ${cause?.message ?? cause}`);
+    this.name = "HeadlessUnavailableError";
+    this.code = "ERR_COFFEESHOP_HEADLESS_UNAVAILABLE";
+    this.cause = cause;
+  }
+}
+
+export class HeadlessSelectorError extends Error {
+  constructor(selector, timeout) {
+    super(`"${selector}" did not appear within ${timeout}ms`);
+    this.name = "HeadlessSelectorError";
+    this.code = "ERR_COFFEESHOP_HEADLESS_SELECTOR";
+    this.selector = selector;
+  }
+}
+
+export class PlaywrightRenderer {
+  constructor({
+    userAgent,
+    maxContexts = 4,
+    contextIdleTimeout = 60_000,
+    settleTimeout = 3_000,
+    allowRequest = null,
+    launchOptions = {},
+    loadPlaywright = () => import("playwright"),
+  } = {}) {
+    this.name = "playwright";
+    this.userAgent = userAgent;
+    this.maxContexts = Math.max(1, maxContexts);
+    this.contextIdleTimeout = contextIdleTimeout;
+    this.settleTimeout = settleTimeout;
+    this.allowRequest = allowRequest;
+    this.launchOptions = launchOptions;
+    this.loadPlaywright = loadPlaywright;
+    this.browser = null;
+    this.contexts = new Map();
+    this.totals = { launches: 0, contextsCreated: 0, contextsReused: 0, blockedRequests: 0 };
+    this.sweepTimer = setInterval(() => this._closeIdle(), Math.max(1_000, contextIdleTimeout / 2));
+    this.sweepTimer.unref?.();
+  }
+
+  async render(job) {
+    return this._withPage(job, async (page) => ({ body: await page.content() }));
+  }
+
+  /**
+   * Like render, but returns { buffer, contentType } with a PNG screenshot or a PDF print
+   * of the page. `viewport` ({ width, height }) sizes the page first, `fullPage` takes
+   * the whole scrollable page instead of the first screen, and `waitForSelector` holds
+   * the capture until that element is visible.
+   */
+  async capture(job) {
+    const { format = "png", fullPage = false, viewport = null } = job;
+    return this._withPage(job, async (page) => {
+      if (format === "pdf") {
+        await page.emulateMedia({ media: "screen" });
+        const size = page.viewportSize() || viewport || { width: 1280, height: 800 };
+        const buffer = await page.pdf({
+          printBackground: true,
+          width: `${size.width}px`,
+          ...(fullPage ? {} : { height: `${size.height}px`, pageRanges: "1" }),
+        });
+        return { buffer, contentType: "application/pdf" };
+      }
+      const buffer = await page.screenshot({ type: "png", fullPage });
+      return { buffer, contentType: "image/png" };
+    });
+  }
+
+  async _withPage(
+    { url, deviceKey = "anonymous", cookies = [], timeout = 30_000, signal, viewport = null, waitForSelector = null },
+    produce
+  ) {
+    const entry = await this._acquireContext(deviceKey);
+    const previous = entry.turn;
+    let release;
+    entry.turn = new Promise((resolve) => {
+      release = resolve;
+    });
+    let page = null;
+    const onAbort = () => {
+      page?.close().catch(() => {});
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+    try {
+      // Wait for the device's previous render: it still owns the context's cookies.
+      await previous;
+      signal?.throwIfAborted();
+      const loaded = cookies.map(toPlaywrightCookie);
+      await entry.context.clearCookies();
+      if (loaded.length) {
+        await entry.context.addCookies(loaded);
+      }
+      page = await entry.context.newPage();
+      signal?.throwIfAborted();
+      if (viewport) {
+        await page.setViewportSize(viewport);
+      }
+      const response = await page.goto(url.href, { waitUntil: "domcontentloaded", timeout });
+      if (waitForSelector) {
+        await page.waitForSelector(waitForSelector, { state: "visible", timeout }).catch((error) => {
+          throw error?.name === "TimeoutError" ? new HeadlessSelectorError(waitForSelector, timeout) : error;
+        });
+      }
+      // Give client-side rendering a moment to settle; pages that never go quiet are
+      // taken as they are.
+      await page.waitForLoadState("networkidle", { timeout: this.settleTimeout }).catch(() => {});
+      const output = await produce(page);
+      return {
+        status: response?.status() ?? 200,
+        headers: response ? Object.entries(await response.allHeaders()) : [],
+        ...output,
+        finalUrl: new URL(page.url()),
+        cookies: diffCookies(loaded, await entry.context.cookies()),
+      };
+    } finally {
+      signal?.removeEventListener("abort", onAbort);
+      await page?.close().catch(() => {});
+      release();
+      entry.busy -= 1;
+      entry.lastUsed = Date.now();
+      this._trimContexts();
+    }
+  }
+
+  async close() {
+    clearInterval(this.sweepTimer);
+    const browser = await this.browser?.catch(() => null);
+    this.browser = null;
+    this.contexts.clear();
+    await browser?.close().catch(() => {});
+  }
+
+  stats() {
+    return {
+      browserRunning: Boolean(this.browser),
+      contexts: this.contexts.size,
+      ...this.totals,
+    };
+  }
+
+  async _launch() {
+    if (!this.browser) {
+      this.browser = (async () => {
+        let playwright;
+        try {
+          playwright = await this.loadPlaywright();
+        } catch (error) {
+          throw new HeadlessUnavailableError(error);
+        }
+        const browser = await playwright.chromium.launch({ headless: true, ...this.launchOptions });
+        this.totals.launches += 1;
+        browser.on("disconnected", () => {
+          this.browser = null;
+          this.contexts.clear();
+        });
+        return browser;
+      })();
+      // A failed launch is retried on the next render rather than cached.
+      this.browser.catch(() => {
+        this.browser = null;
+      });
+    }
+    return this.browser;
+  }
+
+  async _acquireContext(deviceKey) {
+    let entry = this.contexts.get(deviceKey);
+    if (entry) {
+      this.totals.contextsReused += 1;
+    } else {
+      const browser = await this._launch();
+      entry = this.contexts.get(deviceKey);
+      if (!entry) {
+        entry = { context: null, ready: null, turn: null, busy: 0, lastUsed: Date.now() };
+        entry.ready = this._createContext(browser).then((context) => {
+          entry.context = context;
+        });
+        entry.ready.catch(() => this.contexts.delete(deviceKey));
+        this.contexts.set(deviceKey, entry);
+        this.totals.contextsCreated += 1;
+      }
+    }
+    entry.busy += 1;
+    try {
+      await entry.ready;
+    } catch (error) {
+      entry.busy -= 1;
+      throw error;
+    }
+    return entry;
+  }
+
+  async _createContext(browser) {
+    const context = await browser.newContext({ userAgent: this.userAgent, serviceWorkers: "block" });
+    if (this.allowRequest) {
+      await context.route("**/*", async (route) => {
+        try {
+          await this.allowRequest(new URL(route.request().url()));
+        } catch {
+          this.totals.blockedRequests += 1;
+          await route.abort("blockedbyclient").catch(() => {});
+          return;
+        }
+        await route.continue().catch(() => {});
+      });
+      // context.route never sees WebSocket handshakes; a socket that is let through is
+      // connected to the real server, one that is not stays closed.
+      await context.routeWebSocket(/.*/, async (socket) => {
+        try {
+          await this.allowRequest(new URL(socket.url()));
+        } catch {
+          this.totals.blockedRequests += 1;
+          await socket.close({ code: 1008, reason: "Blocked by the relay" }).catch(() => {});
+          return;
+        }
+        socket.connectToServer();
+      });
+    }
+    return context;
+  }
+
+  _trimContexts() {
+    const idle = [...this.contexts].filter(([, entry]) => !entry.busy && entry.context);
+    idle.sort(([, a], [, b]) => a.lastUsed - b.lastUsed);
+    while (this.contexts.size > this.maxContexts && idle.length) {
+      const [key, entry] = idle.shift();
+      this.contexts.delete(key);
+      entry.context.close().catch(() => {});
+    }
+  }
+
+  _closeIdle() {
+    const cutoff = Date.now() - this.contextIdleTimeout;
+    for (const [key, entry] of this.contexts) {
+      if (!entry.busy && entry.context && entry.lastUsed < cutoff) {
+        this.contexts.delete(key);
+        entry.context.close().catch(() => {});
+      }
+    }
+  }
+}
+
+/**
+ * Converts a CookieJar cookie into Playwright's shape. Domain cookies keep the leading
+ * dot that tells Chromium they also apply to subdomains.
+ */
+export function toPlaywrightCookie(cookie) {
+  const sameSite = cookie.sameSite === "None" && !cookie.secure ? "Lax" : cookie.sameSite || "Lax";
+  return {
+    name: cookie.name,
+    value: cookie.value,
+    domain: cookie.hostOnly ? cookie.domain : `.${cookie.domain}`,
+    path: cookie.path,
+    expires: cookie.expires ? Math.floor(cookie.expires / 1000) : -1,
+    httpOnly: Boolean(cookie.httpOnly),
+    secure: Boolean(cookie.secure),
+    sameSite,
+  };
+}
+
+/**
+ * Cookies the page added, changed or removed, as { url, setCookie } pairs a CookieJar
+ * can store. Removed cookies come back as already-expired Set-Cookie lines.
+ */
+export function diffCookies(before, after) {
+  const key = (cookie) => `${cookie.name}\t${cookie.domain}\t${cookie.path}`;
+  const previous = new Map(before.map((cookie) => [key(cookie), cookie]));
+  const changes = [];
+  for (const cookie of after) {
+    const old = previous.get(key(cookie));
+    previous.delete(key(cookie));
+    if (old && old.value === cookie.value && Math.floor(old.expires) === Math.floor(cookie.expires)) continue;
+    changes.push(toSetCookie(cookie));
+  }
+  for (const cookie of previous.values()) {
+    changes.push(toSetCookie({ ...cookie, value: "", expires: 0 }));
+  }
+  return changes;
+}
+
+function toSetCookie(cookie) {
+  const hostOnly = !cookie.domain.startsWith(".");
+  const host = cookie.domain.replace(/^\./, "");
+  const parts = [`${cookie.name}=${cookie.value}`, `Path=${cookie.path}`];
+  if (!hostOnly) parts.push(`Domain=${host}`);
+  if (cookie.expires === 0) parts.push("Max-Age=0");
+  else if (cookie.expires > 0) parts.push(`Expires=${new Date(cookie.expires * 1000).toUTCString()}`);
+  if (cookie.secure) parts.push("Secure");
+  if (cookie.httpOnly) parts.push("HttpOnly");
+  if (cookie.sameSite) parts.push(`SameSite=${cookie.sameSite}`);
+  return { url: `${cookie.secure ? "https" : "http"}://${host}${cookie.path}`, setCookie: parts.join("; ") };
+}
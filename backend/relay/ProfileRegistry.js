@@ -0,0 +1,171 @@
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import { load as loadHtml } from "cheerio";
+import { compileHostPattern } from "./HeaderPolicy.js";
+
+/**
+ * ProfileRegistry.js
+ *
+ * Site-compatibility profiles. Every `.js` file in the profiles directory default-exports
+ * one profile:
+ *
+ *   export default {
+ *     name: "example",
+ *     hosts: ["example.com", "*.example.com"],   // globs or RegExps
+ *     onRequest({ url, method, headers }) {},    // headers: mutable [name, value] list
+ *     onResponseHeaders({ url, status, contentType, headers }) {},
+ *     onHtml($, { url }) {},                     // cheerio document, edited in place
+ *     onCss(css, { url }) { return css; },
+ *     onJs(js, { url }) { return js; },
+ *   };
+ *
+ * Hooks are optional and may be async. They see the upstream's own markup and URLs; the
+ * relay rewrites URLs afterwards, so anything a hook adds is proxied like the rest. A
+ * hook that throws is logged and counted, and the relay carries on with the input it had.
+ */
+
+export const PROFILE_HOOKS = ["onRequest", "onResponseHeaders", "onHtml", "onCss", "onJs"];
+
+export class ProfileRegistry {
+  constructor() {
+    this.profiles = [];
+  }
+
+  /**
+   * Imports every profile module in `directory`, in file-name order. Returns the names of
+   * the profiles loaded; modules that fail to import or validate are skipped and logged.
+   */
+  async loadDirectory(directory) {
+    let files;
+    try {
+      files = (await fs.readdir(directory)).filter((file) => file.endsWith(".js")).sort();
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+    const loaded = [];
+    for (const file of files) {
+      try {
+        const module = await import(pathToFileURL(path.join(directory, file)).href);
+        loaded.push(this.register(module.default, file));
+      } catch (error) {
+        console.error(`[coffeeshop] failed to load profile ${file}`, error.message);
+      }
+    }
+    return loaded.map((profile) => profile.name);
+  }
+
+  register(definition, source = "") {
+    if (!definition || typeof definition !== "object") {
+      throw new TypeError("a profile module must default-export an object");
+    }
+    const name = String(definition.name || path.basename(source, ".js"));
+    if (this.profiles.some((profile) => profile.name === name)) {
+      throw new Error(`duplicate profile name "${name}"`);
+    }
+    const hosts = [].concat(definition.hosts || []);
+    if (!hosts.length) {
+      throw new Error(`profile "${name}" declares no hosts`);
+    }
+    const hooks = PROFILE_HOOKS.filter((hook) => typeof definition[hook] === "function");
+    const profile = {
+      name,
+      description: definition.description || "",
+      source,
+      hosts: hosts.map(String),
+      matchers: hosts.map((host) => (host instanceof RegExp ? host : compileHostPattern(host))),
+      definition,
+      hooks,
+      matched: 0,
+      fired: Object.fromEntries(hooks.map((hook) => [hook, 0])),
+      errors: 0,
+    };
+    this.profiles.push(profile);
+    return profile;
+  }
+
+  /**
+   * Profiles whose host matchers accept `hostname`, in load order. Callers hold on to the
+   * result for the rest of the request so every hook sees the same set.
+   */
+  match(hostname = "") {
+    const host = hostname.toLowerCase();
+    const matched = this.profiles.filter((profile) => profile.matchers.some((matcher) => matcher.test(host)));
+    matched.forEach((profile) => {
+      profile.matched += 1;
+    });
+    return matched;
+  }
+
+  async runRequest(profiles, details) {
+    await this._runEach(profiles, "onRequest", (hook) => hook(details));
+  }
+
+  async runResponseHeaders(profiles, details) {
+    await this._runEach(profiles, "onResponseHeaders", (hook) => hook(details));
+  }
+
+  hasHtmlHooks(profiles) {
+    return profiles.some((profile) => profile.hooks.includes("onHtml"));
+  }
+
+  /**
+   * Parses `html` once, hands the same cheerio document to each profile's onHtml and
+   * returns the serialized result.
+   */
+  async runHtml(profiles, html, details) {
+    const $ = loadHtml(html);
+    const touched = await this._runEach(profiles, "onHtml", (hook) => hook($, details));
+    return touched ? $.html() : html;
+  }
+
+  async runCss(profiles, css, details) {
+    return this._runText(profiles, "onCss", css, details);
+  }
+
+  async runJs(profiles, js, details) {
+    return this._runText(profiles, "onJs", js, details);
+  }
+
+  list() {
+    return this.profiles.map(({ name, description, source, hosts, hooks, matched, fired, errors }) => ({
+      name,
+      description,
+      source,
+      hosts,
+      hooks,
+      matched,
+      fired: { ...fired },
+      errors,
+    }));
+  }
+
+  async _runText(profiles, hookName, text, details) {
+    let current = text;
+    await this._runEach(profiles, hookName, async (hook) => {
+      const result = await hook(current, details);
+      if (typeof result === "string") {
+        current = result;
+      }
+    });
+    return current;
+  }
+
+  async _runEach(profiles, hookName, invoke) {
+    let ran = 0;
+    for (const profile of profiles) {
+      const hook = profile.definition[hookName];
+      if (typeof hook !== "function") continue;
+      profile.fired[hookName] += 1;
+      try {
+        await invoke(hook.bind(profile.definition));
+        ran += 1;
+      } catch (error) {
+        profile.errors += 1;
+        console.error(`[coffeeshop] profile ${profile.name} ${hookName} failed`, error.message);
+      }
+    }
+    return ran;
+  }
+}
@@ -0,0 +1,277 @@
+import { load as loadHtml } from "cheerio";
+
+/**
+ * ReaderExtractor.js
+ *
+ * Pulls the main article out of a page, in the spirit of Arc90's readability:
+ *
+ * - metadata (title, byline, site name, excerpt, language) comes from the usual meta
+ *   tags, falling back to the document itself
+ * - scripts, forms, navigation and elements whose class/id looks like chrome (comments,
+ *   sidebars, share bars, ads) are dropped before scoring
+ * - every paragraph-like block scores points for its length and commas; the score flows
+ *   to its parent and, decaying, to two more ancestors. Ancestors are scaled down by
+ *   their link density, and the best one is the article. Siblings that scored well or
+ *   read like prose join it.
+ * - the result is cleaned down to plain markup: only a few harmless attributes survive,
+ *   lazy-loaded images get a real `src`, link lists and empty blocks go
+ *
+ * The extractor does not fetch anything. `rewriteUrl(value, baseUrl)` is applied to every
+ * href/src it keeps that is not already relayed, so callers decide where links lead.
+ */
+
+const REMOVED_TAGS =
+  "script, style, noscript, template, iframe, frame, object, embed, form, input, button, select, textarea, nav, " +
+  "aside, footer, svg, canvas, dialog, link, meta";
+const UNLIKELY = new RegExp(
+  [
+    "ad-", "advert", "banner", "breadcrumb", "combx", "comment", "community", "cookie", "disqus",
+    "extra", "footer", "header", "legends", "menu", "modal", "newsletter", "pager", "pagination",
+    "popup", "promo", "related", "remark", "replies", "rss", "share", "shoutbox", "sidebar",
+    "skyscraper", "social", "sponsor", "subscribe", "tool", "widget",
+  ].join("|"),
+  "i"
+);
+const LIKELY = /and|article|body|column|content|main|shadow|story|entry|post|text/i;
+const POSITIVE = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story/i;
+const NEGATIVE = new RegExp(
+  [
+    "hidden", "hid", "banner", "combx", "comment", "com-", "contact", "foot", "footer",
+    "footnote", "masthead", "media", "meta", "outbrain", "promo", "related", "scroll", "share",
+    "shoutbox", "sidebar", "skyscraper", "sponsor", "shopping", "tags", "tool", "widget",
+  ].join("|"),
+  "i"
+);
+const BLOCK_CHILDREN =
+  "address, article, aside, blockquote, dl, div, fieldset, figure, footer, form, h1, h2, h3, h4, h5, h6, header, " +
+  "hr, main, nav, ol, p, pre, section, table, ul";
+const SCORED = "p, pre, td, blockquote, li";
+const KEPT_ATTRIBUTES = new Set([
+  "href",
+  "src",
+  "alt",
+  "title",
+  "width",
+  "height",
+  "colspan",
+  "rowspan",
+  "datetime",
+  "cite",
+  "start",
+  "reversed",
+]);
+const LAZY_SOURCES = ["data-src", "data-lazy-src", "data-original", "data-url"];
+const MIN_BLOCK_LENGTH = 25;
+
+export function extractArticle(html, { baseUrl, rewriteUrl = (value) => value } = {}) {
+  const $ = loadHtml(html);
+  const metadata = readMetadata($);
+
+  $(REMOVED_TAGS).remove();
+  $("[hidden], [aria-hidden='true']").remove();
+  $("*").each((_index, element) => {
+    if (["html", "body", "article", "main"].includes(element.tagName)) return;
+    const signature = `${$(element).attr("class") || ""} ${$(element).attr("id") || ""}`;
+    if (signature.trim() && UNLIKELY.test(signature) && !LIKELY.test(signature) && !$(element).is("a")) {
+      $(element).remove();
+    }
+  });
+
+  const candidates = scoreCandidates($);
+  let top = null;
+  for (const [element, score] of candidates) {
+    const adjusted = score * (1 - linkDensity($, element));
+    candidates.set(element, adjusted);
+    if (!top || adjusted > top.score) {
+      top = { element, score: adjusted };
+    }
+  }
+
+  const article = $("<article></article>");
+  if (top && top.element.parent?.tagName && top.element.parent.tagName !== "html") {
+    const threshold = Math.max(10, top.score * 0.2);
+    $(top.element.parent)
+      .children()
+      .each((_index, sibling) => {
+        if (sibling === top.element || (candidates.get(sibling) ?? 0) >= threshold || readsLikeProse($, sibling)) {
+          article.append($(sibling).clone());
+        }
+      });
+  } else {
+    article.append($(top?.element ?? "body").contents().clone());
+  }
+
+  cleanArticle($, article, { baseUrl, rewriteUrl });
+  const text = collectText($, article);
+  const images = article
+    .find("img")
+    .toArray()
+    .map((image) => ({ src: $(image).attr("src"), alt: $(image).attr("alt") || "" }));
+  return {
+    ...metadata,
+    excerpt: metadata.excerpt || summarize(text),
+    contentHtml: article.html() || "",
+    text,
+    images,
+    length: text.length,
+  };
+}
+
+function readMetadata($) {
+  const meta = (...names) => {
+    for (const name of names) {
+      const value = $(`meta[property='${name}'], meta[name='${name}']`).first().attr("content");
+      if (value?.trim()) return value.trim();
+    }
+    return "";
+  };
+  const documentTitle = $("title").first().text().trim();
+  const heading = $("h1").first().text().trim();
+  let title = meta("og:title", "twitter:title") || documentTitle || heading;
+  // "Story headline | Site" → "Story headline", unless that leaves too little.
+  const trimmed = title.split(/\s+[|\-–—»:]\s+/)[0];
+  if (trimmed !== title && trimmed.split(/\s+/).length >= 3) {
+    title = trimmed;
+  }
+  const bylineElement = $("[rel='author'], [itemprop='author'], .byline, .author").first();
+  return {
+    title,
+    byline: meta("author", "article:author", "byl") || bylineElement.text().replace(/\s+/g, " ").trim(),
+    siteName: meta("og:site_name", "application-name"),
+    excerpt: meta("og:description", "description", "twitter:description"),
+    lang: $("html").attr("lang") || "",
+    publishedTime:
+      meta("article:published_time", "date", "pubdate") || $("time[datetime]").first().attr("datetime") || "",
+  };
+}
+
+function scoreCandidates($) {
+  const candidates = new Map();
+  const blocks = $(SCORED)
+    .toArray()
+    .concat($("div").toArray().filter((element) => !$(element).find(BLOCK_CHILDREN).length));
+  for (const block of blocks) {
+    const text = $(block).text().replace(/\s+/g, " ").trim();
+    if (text.length < MIN_BLOCK_LENGTH) continue;
+    const score = 1 + text.split(",").length + Math.min(Math.floor(text.length / 100), 3);
+    let ancestor = block.parent;
+    for (let level = 0; level < 3 && ancestor?.tagName; level += 1) {
+      if (!candidates.has(ancestor)) {
+        candidates.set(ancestor, initialScore($, ancestor));
+      }
+      const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+      candidates.set(ancestor, candidates.get(ancestor) + score / divider);
+      ancestor = ancestor.parent;
+    }
+  }
+  return candidates;
+}
+
+function initialScore($, element) {
+  const base =
+    {
+      article: 10,
+      main: 8,
+      div: 5,
+      section: 3,
+      pre: 3,
+      td: 3,
+      blockquote: 3,
+      form: -3,
+      ol: -3,
+      ul: -3,
+      dl: -3,
+      th: -5,
+      h1: -5,
+      h2: -5,
+      h3: -5,
+    }[element.tagName] ?? 0;
+  return base + classWeight($, element);
+}
+
+function classWeight($, element) {
+  let weight = 0;
+  for (const value of [$(element).attr("class"), $(element).attr("id")]) {
+    if (!value) continue;
+    if (NEGATIVE.test(value)) weight -= 25;
+    if (POSITIVE.test(value)) weight += 25;
+  }
+  return weight;
+}
+
+function linkDensity($, element) {
+  const textLength = $(element).text().trim().length;
+  if (!textLength) return 0;
+  const linkLength = $(element)
+    .find("a")
+    .toArray()
+    .reduce((total, link) => total + $(link).text().trim().length, 0);
+  return linkLength / textLength;
+}
+
+function readsLikeProse($, element) {
+  if (element.tagName !== "p") return false;
+  const text = $(element).text().trim();
+  const density = linkDensity($, element);
+  return (text.length > 80 && density < 0.25) || (text.length > 0 && density === 0 && /\.( |$)/.test(text));
+}
+
+function cleanArticle($, article, { baseUrl, rewriteUrl }) {
+  article.find("img").each((_index, image) => {
+    const lazy = LAZY_SOURCES.map((name) => $(image).attr(name)).find(Boolean);
+    const src = $(image).attr("src") || "";
+    if (lazy && (!src || src.startsWith("data:"))) {
+      $(image).attr("src", lazy);
+    }
+  });
+  article.find("*").each((_index, element) => {
+    for (const name of Object.keys(element.attribs || {})) {
+      if (!KEPT_ATTRIBUTES.has(name)) {
+        $(element).removeAttr(name);
+      }
+    }
+    for (const name of ["href", "src"]) {
+      const value = $(element).attr(name);
+      if (value === undefined) continue;
+      if (/^\s*(javascript|vbscript|data):/i.test(value) && !(name === "src" && /^data:image\//i.test(value))) {
+        $(element).removeAttr(name);
+      } else if (!value.startsWith("/powerthrough") && !value.startsWith("#")) {
+        const rewritten = rewriteUrl(value, baseUrl);
+        if (rewritten) {
+          $(element).attr(name, rewritten);
+        } else {
+          $(element).removeAttr(name);
+        }
+      }
+    }
+  });
+  article.find("ul, ol, div, section, table").each((_index, element) => {
+    const text = $(element).text().trim();
+    if (text.length < 200 && linkDensity($, element) > 0.5) {
+      $(element).remove();
+    }
+  });
+  article.find("img:not([src])").remove();
+  article.find("p, div, section, span, li").each((_index, element) => {
+    if (!$(element).text().trim() && !$(element).find("img, picture, video, pre, table").length) {
+      $(element).remove();
+    }
+  });
+}
+
+function summarize(text) {
+  const blocks = text.split("\n\n");
+  return (blocks.find((block) => block.length >= 80) || blocks[0] || "").slice(0, 280);
+}
+
+function collectText($, article) {
+  const blocks = article
+    .find("h1, h2, h3, h4, h5, h6, p, li, pre, blockquote, td, figcaption")
+    .toArray()
+    .filter((element) => !$(element).parents("p, li, pre, blockquote, td").length);
+  const source = blocks.length ? blocks : [article.get(0)];
+  return source
+    .map((element) => $(element).text().replace(/[ \t\r\n]+/g, " ").trim())
+    .filter(Boolean)
+    .join("\n\n");
+}
@@ -0,0 +1,190 @@
+import { Parser } from "htmlparser2";
+import { Transform } from "node:stream";
+
+/**
+ * StreamingHtmlRewriter.js
+ *
+ * Incremental HTML rewriter used by the relay. Markup is tokenized chunk by chunk
+ * and copied through verbatim; only tags whose attributes actually change are
+ * re-serialized, so the output stays byte-identical to the upstream document
+ * everywhere else. A head injection (meta tags + interceptor) is emitted once,
+ * right after <head> or before the first body-level tag when <head> is missing.
+ * Raw-text elements (inline <script>/<style>) can opt into a text transform; their
+ * contents are held back until the closing tag so the transform sees the whole body.
+ * `footerHtml()` is called once the input ended, for markup that depends on what the
+ * rewrite saw (e.g. diagnostics), and its result is appended to the output.
+ */
+
+const HEAD_PASSTHROUGH_TAGS = new Set(["html"]);
+
+export class StreamingHtmlRewriter {
+  constructor({ rewriteTag, rewriteText, headHtml = "", footerHtml } = {}) {
+    this.rewriteTag = rewriteTag;
+    this.rewriteText = rewriteText;
+    this.footerHtml = footerHtml;
+    this.capture = null;
+    this.headHtml = headHtml;
+    this.injected = !headHtml;
+    this.source = "";
+    this.sourceOffset = 0;
+    this.cursor = 0;
+    this.boundary = 0;
+    this.output = [];
+    this.parser = new Parser(
+      {
+        onopentag: (name, attribs) => this._handleOpenTag(name, attribs),
+        ontext: () => this._advance(),
+        onclosetag: (name) => this._handleCloseTag(name),
+        oncomment: () => this._advance(),
+        oncdata: () => this._advance(),
+        onprocessinginstruction: () => this._advance(),
+      },
+      { decodeEntities: true }
+    );
+  }
+
+  write(chunk) {
+    if (!chunk) {
+      return "";
+    }
+    this.source += chunk;
+    this.parser.write(chunk);
+    this._flushTo(this.boundary);
+    return this._drain();
+  }
+
+  end() {
+    this.parser.end();
+    if (this.capture) {
+      // Unterminated raw-text element: release its contents untransformed.
+      this.capture = null;
+    }
+    this._flushTo(this.sourceOffset + this.source.length);
+    if (!this.injected) {
+      this._inject();
+    }
+    const footer = this.footerHtml?.();
+    if (footer) {
+      this.output.push(footer);
+    }
+    return this._drain();
+  }
+
+  _handleOpenTag(name, attribs) {
+    const start = this.parser.startIndex;
+    const end = this.parser.endIndex + 1;
+    if (!this.injected && !HEAD_PASSTHROUGH_TAGS.has(name) && name !== "head") {
+      this._flushTo(start);
+      this._inject();
+    }
+    if (this.rewriteTag?.(name, attribs)) {
+      const raw = this.source.slice(start - this.sourceOffset, end - this.sourceOffset);
+      this._flushTo(start);
+      this.output.push(serializeOpenTag(name, attribs, /\/\s*>$/.test(raw)));
+      this.cursor = end;
+    }
+    if (!this.injected && name === "head") {
+      this._flushTo(end);
+      this._inject();
+    }
+    this._advance();
+    const transform = this.rewriteText?.(name, attribs);
+    if (transform) {
+      this._flushTo(end);
+      this.capture = { name, start: end, transform };
+    }
+  }
+
+  _handleCloseTag(name) {
+    if (this.capture && this.capture.name === name) {
+      const { start, transform } = this.capture;
+      const closeStart = this.parser.startIndex;
+      const text = this.source.slice(start - this.sourceOffset, closeStart - this.sourceOffset);
+      this.capture = null;
+      this.output.push(transform(text));
+      this.cursor = closeStart;
+    }
+    this._advance();
+  }
+
+  _advance() {
+    if (this.capture) {
+      // Keep captured raw text pending until the element closes.
+      return;
+    }
+    this.boundary = Math.max(this.boundary, this.parser.endIndex + 1);
+  }
+
+  _inject() {
+    this.injected = true;
+    this.output.push(this.headHtml);
+  }
+
+  _flushTo(index) {
+    if (index > this.cursor) {
+      this.output.push(this.source.slice(this.cursor - this.sourceOffset, index - this.sourceOffset));
+      this.cursor = index;
+    }
+  }
+
+  _drain() {
+    const consumed = this.cursor - this.sourceOffset;
+    if (consumed > 0) {
+      this.source = this.source.slice(consumed);
+      this.sourceOffset = this.cursor;
+    }
+    const text = this.output.join("");
+    this.output = [];
+    return text;
+  }
+}
+
+/**
+ * Wraps a StreamingHtmlRewriter in a byte Transform. Input is decoded with `charset`
+ * and always re-encoded as UTF-8. `transformOutput` may patch each rewritten chunk
+ * (tags are never split across chunks), and `onEnd` receives the full rewritten body
+ * once the upstream finished cleanly, e.g. to populate the cache.
+ */
+export function createHtmlRewriteStream({ rewriter, charset = "utf-8", transformOutput, onEnd } = {}) {
+  const decoder = new TextDecoder(charset);
+  const collected = onEnd ? [] : null;
+  const emit = (stream, text) => {
+    const patched = transformOutput ? transformOutput(text) : text;
+    if (!patched) return;
+    const buffer = Buffer.from(patched);
+    collected?.push(buffer);
+    stream.push(buffer);
+  };
+  return new Transform({
+    transform(chunk, _encoding, callback) {
+      try {
+        emit(this, rewriter.write(decoder.decode(chunk, { stream: true })));
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+    flush(callback) {
+      try {
+        emit(this, rewriter.write(decoder.decode()) + rewriter.end());
+        if (collected) {
+          onEnd(Buffer.concat(collected));
+        }
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+  });
+}
+
+export function escapeHtmlAttribute(value) {
+  return String(value).replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function serializeOpenTag(name, attribs, selfClosing) {
+  const attributes = Object.entries(attribs)
+    .map(([key, value]) => (value === "" ? ` ${key}` : ` ${key}="${escapeHtmlAttribute(value)}"`))
+    .join("");
+  return `<${name}${attributes}${selfClosing ? " /" : ""}>`;
+}
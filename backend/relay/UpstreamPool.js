@@ -0,0 +1,242 @@
+import { Agent, DecoratorHandler, Dispatcher, Pool } from "undici";
+
+/**
+ * UpstreamPool.js
+ *
+ * Dispatcher for relay traffic that keeps one keep-alive connection pool per origin and
+ * caps how many requests may be in flight against any one of them. A request holds its
+ * slot until the response body has been fully read or torn down, so a page that pulls
+ * hundreds of assets from one CDN opens at most `maxConnectionsPerHost` sockets instead
+ * of hammering it. Requests over the limit wait in a per-origin FIFO queue; the queue is
+ * bounded in length and in wait time, and anything it cannot take fails fast with an
+ * UpstreamQueueError instead of piling up behind a slow host.
+ */
+
+export class UpstreamQueueError extends Error {
+  constructor(origin, reason, limit) {
+    super(
+      reason === "full"
+        ? `${origin} already has ${limit} requests waiting for a connection`
+        : `No connection to ${origin} became free within ${limit}ms`
+    );
+    this.name = "UpstreamQueueError";
+    this.code = "ERR_COFFEESHOP_UPSTREAM_QUEUE";
+    this.origin = origin;
+    this.reason = reason;
+  }
+}
+
+export class UpstreamPool extends Dispatcher {
+  /**
+   * `connect`, `headersTimeout` and `bodyTimeout` are handed to every per-origin undici
+   * Pool unchanged; `maxQueue` and `queueTimeout` bound the wait for a free slot.
+   */
+  constructor({
+    connect,
+    headersTimeout,
+    bodyTimeout,
+    keepAliveTimeout = 10_000,
+    maxConnectionsPerHost = 6,
+    maxQueue = 64,
+    queueTimeout = 10_000,
+  } = {}) {
+    super();
+    this.maxConnectionsPerHost = Math.max(1, maxConnectionsPerHost);
+    this.maxQueue = Math.max(0, maxQueue);
+    this.queueTimeout = queueTimeout;
+    this.pools = new Map();
+    this.hosts = new Map();
+    this.totals = { dispatched: 0, queued: 0, rejectedFull: 0, rejectedTimeout: 0, abortedWhileQueued: 0 };
+    this.agent = new Agent({
+      connect,
+      headersTimeout,
+      bodyTimeout,
+      keepAliveTimeout,
+      connections: this.maxConnectionsPerHost,
+      factory: (origin, options) => {
+        const pool = new Pool(origin, options);
+        this.pools.set(originKey(origin), pool);
+        return pool;
+      },
+    });
+  }
+
+  dispatch(options, handler) {
+    const origin = originKey(options.origin);
+    const host = this._host(origin);
+    if (host.active < this.maxConnectionsPerHost) {
+      this._start(origin, host, options, handler);
+      return true;
+    }
+    if (host.queue.length >= this.maxQueue) {
+      this.totals.rejectedFull += 1;
+      handler.onError(new UpstreamQueueError(origin, "full", this.maxQueue));
+      return true;
+    }
+    this._enqueue(origin, host, options, handler);
+    return true;
+  }
+
+  /**
+   * Per-origin view for /metrics: `active` requests holding a slot, `idle` keep-alive
+   * sockets ready for reuse, `connected` sockets in total and `queued` waiters.
+   */
+  stats() {
+    const hosts = {};
+    for (const [origin, pool] of this.pools) {
+      const host = this.hosts.get(origin);
+      const { connected, free } = pool.stats;
+      if (!connected && !host) continue;
+      hosts[origin] = {
+        active: host?.active || 0,
+        idle: free,
+        connected,
+        queued: host?.queue.length || 0,
+      };
+    }
+    for (const [origin, host] of this.hosts) {
+      // Requests still queued for an origin whose pool does not exist yet.
+      hosts[origin] ??= { active: host.active, idle: 0, connected: 0, queued: host.queue.length };
+    }
+    return {
+      maxConnectionsPerHost: this.maxConnectionsPerHost,
+      maxQueue: this.maxQueue,
+      queueTimeoutMs: this.queueTimeout,
+      ...this.totals,
+      hosts,
+    };
+  }
+
+  async close() {
+    this._rejectQueued(new Error("Upstream pool closed"));
+    await this.agent.close();
+  }
+
+  async destroy(error) {
+    this._rejectQueued(error || new Error("Upstream pool destroyed"));
+    await this.agent.destroy(error);
+  }
+
+  _host(origin) {
+    let host = this.hosts.get(origin);
+    if (!host) {
+      host = { active: 0, queue: [] };
+      this.hosts.set(origin, host);
+    }
+    return host;
+  }
+
+  _start(origin, host, options, handler) {
+    host.active += 1;
+    this.totals.dispatched += 1;
+    let released = false;
+    const release = () => {
+      if (released) return;
+      released = true;
+      host.active -= 1;
+      this._next(origin, host);
+    };
+    try {
+      this.agent.dispatch(options, new SlotHandler(handler, release));
+    } catch (error) {
+      release();
+      handler.onError(error);
+    }
+  }
+
+  _enqueue(origin, host, options, handler) {
+    this.totals.queued += 1;
+    const waiter = { options, handler, timer: null, removeAbortListener: null };
+    const leave = (error) => {
+      const index = host.queue.indexOf(waiter);
+      if (index === -1) return;
+      host.queue.splice(index, 1);
+      this._settle(waiter);
+      this._prune(origin, host);
+      handler.onError(error);
+    };
+    if (this.queueTimeout > 0) {
+      waiter.timer = setTimeout(() => {
+        this.totals.rejectedTimeout += 1;
+        leave(new UpstreamQueueError(origin, "timeout", this.queueTimeout));
+      }, this.queueTimeout);
+      waiter.timer.unref?.();
+    }
+    const { signal } = options;
+    if (signal && typeof signal.addEventListener === "function") {
+      // undici only notices an abort once the request reaches a connection, so a
+      // cancelled request would otherwise keep its place in the queue.
+      const onAbort = () => {
+        this.totals.abortedWhileQueued += 1;
+        leave(signal.reason ?? new Error("Request aborted"));
+      };
+      signal.addEventListener("abort", onAbort, { once: true });
+      waiter.removeAbortListener = () => signal.removeEventListener("abort", onAbort);
+    }
+    host.queue.push(waiter);
+  }
+
+  _next(origin, host) {
+    const waiter = host.queue.shift();
+    if (!waiter) {
+      this._prune(origin, host);
+      return;
+    }
+    this._settle(waiter);
+    this._start(origin, host, waiter.options, waiter.handler);
+  }
+
+  _settle(waiter) {
+    clearTimeout(waiter.timer);
+    waiter.removeAbortListener?.();
+  }
+
+  _prune(origin, host) {
+    if (!host.active && !host.queue.length) {
+      this.hosts.delete(origin);
+    }
+  }
+
+  _rejectQueued(error) {
+    for (const [origin, host] of this.hosts) {
+      const waiters = host.queue.splice(0);
+      waiters.forEach((waiter) => {
+        this._settle(waiter);
+        waiter.handler.onError(error);
+      });
+      this._prune(origin, host);
+    }
+  }
+}
+
+export function isUpstreamQueueError(error) {
+  return error instanceof UpstreamQueueError || error?.cause instanceof UpstreamQueueError;
+}
+
+// Frees the request's slot once undici is done with it: the body completed, the request
+// failed, or the consumer destroyed the body (which surfaces as an error).
+class SlotHandler extends DecoratorHandler {
+  constructor(handler, release) {
+    super(handler);
+    this.release = release;
+  }
+
+  onComplete(trailers) {
+    this.release();
+    return super.onComplete(trailers);
+  }
+
+  onError(error) {
+    this.release();
+    return super.onError(error);
+  }
+
+  onUpgrade(statusCode, headers, socket) {
+    this.release();
+    return super.onUpgrade(statusCode, headers, socket);
+  }
+}
+
+function originKey(origin) {
+  return typeof origin === "string" ? new URL(origin).origin : origin.origin;
+}
@@ -0,0 +1,86 @@
+import { WebSocket } from "ws";
+
+/**
+ * WebSocketRelay.js
+ *
+ * The upstream half of a relayed WebSocket upgrade. While the upstream handshake is in
+ * flight the client's raw upgrade socket belongs to nobody: no HTTP response and no ws
+ * server is attached to it yet. A client that goes away in that window (closes, or
+ * resets the connection) abandons the upstream attempt, which then settles with a
+ * ClientGoneError rather than a failure of the target.
+ */
+
+export class ClientGoneError extends Error {
+  constructor(cause) {
+    super("Client closed before the upstream WebSocket opened.");
+    this.name = "ClientGoneError";
+    this.code = "ERR_COFFEESHOP_CLIENT_GONE";
+    this.cause = cause;
+  }
+}
+
+/**
+ * Keeps socket errors on a raw upgrade socket from becoming uncaught 'error' events,
+ * which would end the process; the socket is destroyed instead, and its 'close' tells
+ * whoever is waiting on it. Call it before anything is awaited.
+ */
+export function guardUpgradeSocket(socket) {
+  socket.on("error", () => {
+    socket.destroy();
+  });
+  return socket;
+}
+
+/**
+ * Opens `targetUrl` and resolves with the open ws WebSocket. `onUpgrade(response)` sees
+ * the upstream's 101 response (for its Set-Cookie lines). Rejects with a
+ * ClientGoneError when `clientSocket` errors or closes first, with an Error carrying
+ * `statusCode` when the upstream refuses the upgrade, or with the connection error.
+ */
+export function connectUpstreamWebSocket(
+  targetUrl,
+  { clientSocket, protocols = [], headers = {}, lookup, handshakeTimeout, onUpgrade } = {}
+) {
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    const settle = (error) => {
+      if (settled) return;
+      settled = true;
+      clientSocket.off("close", abandon);
+      clientSocket.off("error", abandon);
+      if (error) {
+        upstream.terminate();
+        reject(error);
+      } else {
+        resolve(upstream);
+      }
+    };
+    const abandon = (cause) => settle(new ClientGoneError(cause));
+    const upstream = new WebSocket(targetUrl, protocols, {
+      headers,
+      lookup,
+      handshakeTimeout,
+      followRedirects: false,
+    });
+    if (clientSocket.destroyed) {
+      abandon();
+      return;
+    }
+    clientSocket.once("close", abandon);
+    clientSocket.once("error", abandon);
+    upstream.once("upgrade", (response) => onUpgrade?.(response));
+    upstream.once("open", () => settle());
+    upstream.once("unexpected-response", (upstreamRequest, response) => {
+      response.resume();
+      upstreamRequest.destroy();
+      const error = new Error(`status ${response.statusCode}`);
+      error.statusCode = response.statusCode;
+      settle(error);
+    });
+    upstream.on("error", (error) => settle(error));
+  });
+}
+
+export function isClientGoneError(error) {
+  return error?.code === "ERR_COFFEESHOP_CLIENT_GONE";
+}
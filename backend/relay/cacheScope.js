@@ -0,0 +1,43 @@
+/**
+ * cacheScope.js
+ *
+ * Decides which relayed responses the shared caches (the in-memory response cache and
+ * the smart cache) may hold. Both are keyed by URL and render mode only and serve every
+ * device, so anything tied to one device's cookie jar stays out of them, in both
+ * directions:
+ *
+ * - a request that carries jar cookies may come back personal, and a device with
+ *   cookies should not be handed another device's anonymous copy either;
+ * - a response that sets cookies only reaches the jar of the device that fetched it, so
+ *   a cached copy would give later devices the page without the session it belongs to
+ *   (logins, CSRF tokens).
+ */
+
+/**
+ * Whether the upstream request for `targetUrl` carries `deviceId`'s jar cookies.
+ * Headless renders load every cookie the device holds, since the page's own subrequests
+ * may need any of them.
+ */
+export function requestCarriesJarCookies(cookieJar, { deviceId, targetUrl, renderMode }) {
+  if (!deviceId) {
+    return false;
+  }
+  if (renderMode === "headless") {
+    return cookieJar.allCookies(deviceId).length > 0;
+  }
+  return cookieJar.getCookies(deviceId, targetUrl).length > 0;
+}
+
+/**
+ * Whether an upstream response sets cookies. `headers` is a fetch Headers object or a
+ * [name, value] list.
+ */
+export function responseSetsCookies(headers) {
+  if (!headers) {
+    return false;
+  }
+  if (typeof headers.getSetCookie === "function") {
+    return headers.getSetCookie().length > 0;
+  }
+  return headers.some(([name]) => String(name).toLowerCase() === "set-cookie");
+}
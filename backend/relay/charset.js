@@ -0,0 +1,130 @@
+import { Readable } from "node:stream";
+
+/**
+ * charset.js
+ *
+ * Character encoding detection for rewritten documents. The relay always re-encodes
+ * rewritten bodies as UTF-8, so it needs to know what the upstream actually sent:
+ * the Content-Type charset wins, then a byte-order mark, then an in-document
+ * declaration (<meta charset> / http-equiv for HTML, @charset for CSS).
+ */
+
+export const CHARSET_SNIFF_BYTES = 1024;
+export const DEFAULT_CHARSET = "utf-8";
+
+const BOM_SIGNATURES = [
+  { bytes: [0xef, 0xbb, 0xbf], charset: "utf-8" },
+  { bytes: [0xfe, 0xff], charset: "utf-16be" },
+  { bytes: [0xff, 0xfe], charset: "utf-16le" },
+];
+
+export function normalizeCharset(label) {
+  if (!label || typeof label !== "string") {
+    return null;
+  }
+  try {
+    return new TextDecoder(label.trim().replace(/^["']|["']$/g, "")).encoding;
+  } catch {
+    return null;
+  }
+}
+
+export function parseContentTypeCharset(contentType = "") {
+  const match = /;\s*charset\s*=\s*("?)([^";,\s]+)\1/i.exec(contentType || "");
+  return match ? normalizeCharset(match[2]) : null;
+}
+
+export function detectBomCharset(buffer) {
+  if (!buffer?.length) {
+    return null;
+  }
+  const signature = BOM_SIGNATURES.find(({ bytes }) => bytes.every((byte, index) => buffer[index] === byte));
+  return signature ? signature.charset : null;
+}
+
+export function prescanHtmlCharset(buffer) {
+  const head = Buffer.from(buffer.subarray(0, CHARSET_SNIFF_BYTES)).toString("latin1");
+  const metaPattern = /<meta\b[^>]*?\bcharset\s*=\s*["']?\s*([a-z0-9_\-:.]+)/gi;
+  let match;
+  while ((match = metaPattern.exec(head))) {
+    const charset = normalizeCharset(match[1]);
+    if (charset) {
+      // A document cannot declare itself UTF-16 from inside ASCII-compatible markup.
+      return charset.startsWith("utf-16") ? DEFAULT_CHARSET : charset;
+    }
+  }
+  return null;
+}
+
+export function prescanCssCharset(buffer) {
+  const head = Buffer.from(buffer.subarray(0, CHARSET_SNIFF_BYTES)).toString("latin1");
+  const match = /^@charset\s+"([^"]+)"\s*;/i.exec(head);
+  return match ? normalizeCharset(match[1]) : null;
+}
+
+/**
+ * Resolves the effective charset for a fully buffered body (used by the CSS path).
+ */
+export function resolveBodyCharset(buffer, { contentType, prescan = prescanCssCharset } = {}) {
+  const fromHeader = parseContentTypeCharset(contentType);
+  if (fromHeader) {
+    return { charset: fromHeader, source: "header" };
+  }
+  const fromBom = detectBomCharset(buffer);
+  if (fromBom) {
+    return { charset: fromBom, source: "bom" };
+  }
+  const fromDocument = prescan(buffer);
+  if (fromDocument) {
+    return { charset: fromDocument, source: "document" };
+  }
+  return { charset: DEFAULT_CHARSET, source: "default" };
+}
+
+export function decodeBody(buffer, charset = DEFAULT_CHARSET) {
+  return new TextDecoder(normalizeCharset(charset) || DEFAULT_CHARSET).decode(buffer);
+}
+
+/**
+ * Resolves the charset of a streamed document. When the header already names one the
+ * source is returned untouched; otherwise up to CHARSET_SNIFF_BYTES are read ahead for
+ * BOM and <meta> detection and replayed in front of the remaining stream.
+ */
+export async function sniffStreamCharset(source, { contentType, prescan = prescanHtmlCharset } = {}) {
+  const fromHeader = parseContentTypeCharset(contentType);
+  if (fromHeader) {
+    return { charset: fromHeader, source: "header", stream: source };
+  }
+  const iterator = source[Symbol.asyncIterator]();
+  const chunks = [];
+  let length = 0;
+  let exhausted = false;
+  while (length < CHARSET_SNIFF_BYTES) {
+    const next = await iterator.next();
+    if (next.done) {
+      exhausted = true;
+      break;
+    }
+    chunks.push(next.value);
+    length += next.value.length;
+  }
+  const prefix = Buffer.concat(chunks);
+  const resolved = resolveBodyCharset(prefix, { prescan });
+  const stream = Readable.from(
+    (async function* replay() {
+      try {
+        if (prefix.length) {
+          yield prefix;
+        }
+        while (!exhausted) {
+          const next = await iterator.next();
+          if (next.done) return;
+          yield next.value;
+        }
+      } finally {
+        await iterator.return?.();
+      }
+    })()
+  );
+  return { ...resolved, stream };
+}
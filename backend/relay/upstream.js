@@ -0,0 +1,181 @@
+import { request } from "undici";
+import { Readable, Transform } from "node:stream";
+import zlib from "node:zlib";
+
+/**
+ * upstream.js
+ *
+ * Thin wrapper around undici's request API for relay traffic. Unlike the global
+ * fetch, undici.request never decompresses on its own, so the relay can decide per
+ * response whether to decode a body (because it must be rewritten, or because the
+ * client cannot take the encoding) or to pass the compressed bytes straight through.
+ */
+
+export const UPSTREAM_ACCEPT_ENCODING = "gzip, deflate, br";
+
+export class UpstreamResponse {
+  constructor(statusCode, rawHeaders = {}, body = null) {
+    this.status = statusCode;
+    this.headers = new Headers();
+    for (const [key, value] of Object.entries(rawHeaders)) {
+      if (value === undefined || value === null) continue;
+      for (const entry of Array.isArray(value) ? value : [value]) {
+        this.headers.append(key, String(entry));
+      }
+    }
+    this.body = body;
+  }
+
+  get contentEncoding() {
+    return parseContentEncoding(this.headers.get("content-encoding"));
+  }
+
+  /**
+   * Returns the body as a Node stream with any content-coding removed.
+   */
+  decodedStream() {
+    const source = this.body || Readable.from([]);
+    const decoders = this.contentEncoding.map(createDecoder).reverse();
+    return decoders.reduce((stream, decoder) => {
+      stream.once("error", (error) => decoder.destroy(error));
+      return stream.pipe(decoder);
+    }, source);
+  }
+
+  async buffer() {
+    const chunks = [];
+    for await (const chunk of this.decodedStream()) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  async text() {
+    return (await this.buffer()).toString("utf8");
+  }
+
+  /**
+   * Drops the body without reading it. undici's body emits an abort error when destroyed,
+   * which would crash the process with nobody listening, so it is swallowed here.
+   */
+  cancel() {
+    if (!this.body || this.body.destroyed) {
+      return;
+    }
+    this.body.on("error", () => {});
+    this.body.destroy();
+  }
+}
+
+export async function fetchUpstream(url, { method = "GET", headers = {}, body, signal, dispatcher } = {}) {
+  const { statusCode, headers: rawHeaders, body: responseBody } = await request(url, {
+    method,
+    headers,
+    body,
+    signal,
+    dispatcher,
+  });
+  return new UpstreamResponse(statusCode, rawHeaders, responseBody);
+}
+
+/**
+ * Pipes a request body through a byte counter that fails the stream with
+ * `createError(receivedBytes)` as soon as it grows past `maxBytes`. Declared lengths are
+ * checked up front by the caller; this catches chunked bodies and lying clients.
+ */
+export function limitBodyStream(source, maxBytes, createError) {
+  let received = 0;
+  const limiter = new Transform({
+    transform(chunk, _encoding, callback) {
+      received += chunk.length;
+      if (received > maxBytes) {
+        callback(createError(received));
+        return;
+      }
+      callback(null, chunk);
+    },
+  });
+  source.once("error", (error) => limiter.destroy(error));
+  return source.pipe(limiter);
+}
+
+const TIMEOUT_PHASES = {
+  UND_ERR_CONNECT_TIMEOUT: "connect",
+  UND_ERR_HEADERS_TIMEOUT: "headers",
+  UND_ERR_BODY_TIMEOUT: "body",
+};
+
+/**
+ * Returns "connect", "headers" or "body" when `error` is one of undici's timeout
+ * errors (directly or as the cause of a wrapping error), otherwise null.
+ */
+export function upstreamTimeoutPhase(error) {
+  return TIMEOUT_PHASES[error?.code] || TIMEOUT_PHASES[error?.cause?.code] || null;
+}
+
+export function parseContentEncoding(value) {
+  return (value || "")
+    .split(",")
+    .map((entry) => entry.trim().toLowerCase())
+    .filter((entry) => entry && entry !== "identity");
+}
+
+/**
+ * True when every coding applied to the body is one the client advertised, so the
+ * compressed bytes can be relayed without touching them.
+ */
+export function clientAcceptsEncoding(acceptEncoding, codings) {
+  if (!codings.length) {
+    return true;
+  }
+  const accepted = new Map();
+  for (const part of String(acceptEncoding || "").split(",")) {
+    const [name, ...params] = part.trim().toLowerCase().split(";");
+    if (!name) continue;
+    const q = params.map((param) => /^\s*q=([\d.]+)/.exec(param)).find(Boolean);
+    accepted.set(name, q ? Number(q[1]) : 1);
+  }
+  return codings.every((coding) => {
+    const quality = accepted.has(coding) ? accepted.get(coding) : accepted.get("*");
+    return Boolean(quality && quality > 0);
+  });
+}
+
+function createDecoder(coding) {
+  switch (coding) {
+    case "gzip":
+    case "x-gzip":
+      return zlib.createGunzip({ flush: zlib.constants.Z_SYNC_FLUSH, finishFlush: zlib.constants.Z_SYNC_FLUSH });
+    case "deflate":
+      return new DeflateDecoder();
+    case "br":
+      return zlib.createBrotliDecompress({
+        flush: zlib.constants.BROTLI_OPERATION_FLUSH,
+        finishFlush: zlib.constants.BROTLI_OPERATION_FLUSH,
+      });
+    default:
+      throw new Error(`Unsupported content-encoding: ${coding}`);
+  }
+}
+
+class DeflateDecoder extends Transform {
+  // Servers disagree on whether "deflate" means zlib-wrapped or raw deflate; sniff the
+  // first byte (a zlib header uses compression method 8) before committing to a decoder.
+  _transform(chunk, _encoding, callback) {
+    if (!this.inner) {
+      this.inner = (chunk[0] & 0x0f) === 0x08 ? zlib.createInflate() : zlib.createInflateRaw();
+      this.inner.on("data", (data) => this.push(data));
+      this.inner.on("error", (error) => this.destroy(error));
+    }
+    this.inner.write(chunk, callback);
+  }
+
+  _flush(callback) {
+    if (!this.inner) {
+      callback();
+      return;
+    }
+    this.inner.once("end", callback);
+    this.inner.end();
+  }
+}
@@ -0,0 +1,276 @@
+import { mergeResults } from "./mergeResults.js";
+
+/**
+ * SearchService.js
+ *
+ * Runs web searches through pluggable provider adapters and hands back one normalized
+ * result shape, { title, url, snippet, provider }, whatever the provider's markup.
+ * `search` tries providers one after another until one answers; `metasearch` asks them
+ * all at once and merges their results.
+ *
+ * An adapter is a plain object (see duckduckgoLite.js and bingLite.js):
+ *
+ *   {
+ *     name: "example",                      // used in results, errors and stats
+ *     label: "Example Search",              // shown to people
+ *     buildRequest(query) → { url, method?, headers? },
+ *     parse(html, { url }) → [{ title, url, snippet }],
+ *     timeout: 4000,                        // optional, overrides the service's timeout
+ *   }
+ *
+ * `parse` is pure: it only reads the HTML it is given, so it can be checked against saved
+ * pages. It throws a SearchProviderError with reason "blocked" for captcha/anomaly pages
+ * and "parse" when the page is not a result page it recognizes, and returns [] only for a
+ * genuine "no results" page. Anything else that goes wrong is classified here: "timeout",
+ * "http" (non-2xx answer) or "network".
+ *
+ * Fetching is injected as `fetchPage({ url, method, headers, signal })`, resolving to
+ * { status, url, headers, text }, so the caller decides how upstreams are reached. Cookies
+ * a provider sets are kept per provider for `sessionTtl` ms and sent back with its next
+ * requests, which some providers want before they answer without a challenge.
+ */
+
+const MAX_TITLE_LENGTH = 300;
+const MAX_SNIPPET_LENGTH = 600;
+
+export class SearchProviderError extends Error {
+  constructor(provider, reason, message) {
+    super(message);
+    this.name = "SearchProviderError";
+    this.code = "ERR_COFFEESHOP_SEARCH_PROVIDER";
+    this.provider = provider;
+    this.reason = reason;
+  }
+}
+
+export class SearchService {
+  constructor({ providers = [], fetchPage, timeout = 6_000, sessionTtl = 30 * 60_000 } = {}) {
+    this.providers = new Map(providers.map((provider) => [provider.name, provider]));
+    this.fetchPage = fetchPage;
+    this.timeout = timeout;
+    this.sessionTtl = sessionTtl;
+    this.sessions = new Map();
+    this.totals = new Map(providers.map((provider) => [provider.name, createTotals()]));
+  }
+
+  get providerNames() {
+    return [...this.providers.keys()];
+  }
+
+  has(name) {
+    return this.providers.has(name);
+  }
+
+  /**
+   * Queries one provider. Resolves to { provider, results, tookMs } or rejects with a
+   * SearchProviderError; an abort through `signal` rejects with the signal's reason.
+   */
+  async query(name, query, { signal } = {}) {
+    const provider = this.providers.get(name);
+    if (!provider) {
+      throw new SearchProviderError(name, "unknown", `Unknown search provider "${name}"`);
+    }
+    const totals = this.totals.get(name);
+    const started = Date.now();
+    totals.requests += 1;
+    try {
+      const html = await this._fetch(provider, query, signal);
+      const raw = provider.parse(html.text, { url: html.url });
+      const results = normalizeResults(raw, name);
+      if (raw.length && !results.length) {
+        throw new SearchProviderError(
+          name,
+          "parse",
+          `${provider.label} returned ${raw.length} results without a usable title and URL`
+        );
+      }
+      totals.succeeded += 1;
+      totals.lastSuccessAt = Date.now();
+      return { provider: name, results, tookMs: Date.now() - started };
+    } catch (error) {
+      if (signal?.aborted) {
+        throw signal.reason;
+      }
+      const failure =
+        error instanceof SearchProviderError
+          ? error
+          : new SearchProviderError(name, "network", `${provider.label} could not be reached: ${error.message}`);
+      totals.failures[failure.reason] = (totals.failures[failure.reason] ?? 0) + 1;
+      totals.lastError = { reason: failure.reason, message: failure.message, at: Date.now() };
+      throw failure;
+    }
+  }
+
+  /**
+   * Tries `providers` in order and settles on the first that answers. Resolves to
+   * { query, provider, results, errors }, where `errors` describes the providers that
+   * failed before it; `provider` is null and `results` empty when all of them failed.
+   */
+  async search(query, { providers = this.providerNames, signal } = {}) {
+    const errors = [];
+    for (const name of providers) {
+      try {
+        const { results } = await this.query(name, query, { signal });
+        return { query, provider: name, results, errors };
+      } catch (error) {
+        if (!isSearchProviderError(error)) {
+          throw error;
+        }
+        errors.push(describeSearchError(error));
+      }
+    }
+    return { query, provider: null, results: [], errors };
+  }
+
+  /**
+   * Queries `providers` in parallel, each under its own timeout, and merges what comes
+   * back (see mergeResults.js). Resolves to { query, results, providers, errors }, where
+   * `providers` reports { name, label, ok, count, tookMs } for each provider asked and
+   * `results` is cut to `limit`.
+   */
+  async metasearch(query, { providers = this.providerNames, signal, limit = 20 } = {}) {
+    const settled = await Promise.allSettled(providers.map((name) => this.query(name, query, { signal })));
+    if (signal?.aborted) {
+      throw signal.reason;
+    }
+    const lists = [];
+    const errors = [];
+    const report = settled.map((outcome, index) => {
+      const name = providers[index];
+      const label = this.providers.get(name)?.label ?? name;
+      if (outcome.status === "fulfilled") {
+        lists.push(outcome.value);
+        return { name, label, ok: true, count: outcome.value.results.length, tookMs: outcome.value.tookMs };
+      }
+      if (!isSearchProviderError(outcome.reason)) {
+        throw outcome.reason;
+      }
+      errors.push(describeSearchError(outcome.reason));
+      return { name, label, ok: false, count: 0, tookMs: null };
+    });
+    return { query, results: mergeResults(lists).slice(0, limit), providers: report, errors };
+  }
+
+  stats() {
+    return Object.fromEntries(
+      [...this.totals].map(([name, totals]) => [
+        name,
+        { ...totals, failures: { ...totals.failures }, session: this.sessions.has(name) },
+      ])
+    );
+  }
+
+  async _fetch(provider, query, signal) {
+    const request = provider.buildRequest(query);
+    const timeout = provider.timeout ?? this.timeout;
+    const timeoutSignal = AbortSignal.timeout(timeout);
+    const headers = { ...(request.headers || {}) };
+    const cookie = this._sessionCookie(provider.name);
+    if (cookie) {
+      headers.cookie = cookie;
+    }
+    let page;
+    try {
+      page = await this.fetchPage({
+        url: new URL(request.url),
+        method: request.method || "GET",
+        headers,
+        signal: signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal,
+      });
+    } catch (error) {
+      if (timeoutSignal.aborted && !signal?.aborted) {
+        throw new SearchProviderError(
+          provider.name,
+          "timeout",
+          `${provider.label} did not answer within ${timeout}ms`
+        );
+      }
+      throw error;
+    }
+    this._storeSession(provider.name, page.headers);
+    if (page.status === 403 || page.status === 429) {
+      throw new SearchProviderError(
+        provider.name,
+        "blocked",
+        `${provider.label} refused the query (HTTP ${page.status})`
+      );
+    }
+    if (page.status < 200 || page.status >= 300) {
+      throw new SearchProviderError(provider.name, "http", `${provider.label} answered HTTP ${page.status}`);
+    }
+    return page;
+  }
+
+  _sessionCookie(name) {
+    const session = this.sessions.get(name);
+    if (!session) {
+      return "";
+    }
+    if (Date.now() - session.updatedAt > this.sessionTtl) {
+      this.sessions.delete(name);
+      return "";
+    }
+    return [...session.cookies].map(([key, value]) => `${key}=${value}`).join("; ");
+  }
+
+  _storeSession(name, headers) {
+    const setCookies = headers?.getSetCookie?.() ?? [];
+    if (!setCookies.length) {
+      return;
+    }
+    const session = this.sessions.get(name) ?? { cookies: new Map(), updatedAt: 0 };
+    for (const line of setCookies) {
+      const [pair] = line.split(";");
+      const separator = pair.indexOf("=");
+      if (separator <= 0) continue;
+      session.cookies.set(pair.slice(0, separator).trim(), pair.slice(separator + 1).trim());
+    }
+    session.updatedAt = Date.now();
+    this.sessions.set(name, session);
+  }
+}
+
+/**
+ * Trims and validates raw adapter results: only absolute http(s) URLs with a title are
+ * kept, each URL once, with whitespace collapsed and overlong text cut.
+ */
+export function normalizeResults(raw, provider) {
+  const seen = new Set();
+  const results = [];
+  for (const entry of raw || []) {
+    const title = collapseWhitespace(entry?.title).slice(0, MAX_TITLE_LENGTH);
+    let url;
+    try {
+      url = new URL(entry?.url);
+    } catch {
+      continue;
+    }
+    if (!title || !["http:", "https:"].includes(url.protocol) || seen.has(url.href)) {
+      continue;
+    }
+    seen.add(url.href);
+    results.push({
+      title,
+      url: url.href,
+      snippet: collapseWhitespace(entry.snippet).slice(0, MAX_SNIPPET_LENGTH),
+      provider,
+    });
+  }
+  return results;
+}
+
+export function describeSearchError(error) {
+  return { provider: error.provider, reason: error.reason, message: error.message };
+}
+
+export function isSearchProviderError(error) {
+  return error?.code === "ERR_COFFEESHOP_SEARCH_PROVIDER";
+}
+
+function collapseWhitespace(value) {
+  return typeof value === "string" ? value.replace(/\s+/g, " ").trim() : "";
+}
+
+function createTotals() {
+  return { requests: 0, succeeded: 0, failures: {}, lastSuccessAt: null, lastError: null };
+}
@@ -0,0 +1,68 @@
+import { load as loadHtml } from "cheerio";
+import { SearchProviderError } from "./SearchService.js";
+
+/**
+ * bingLite.js
+ *
+ * Search adapter for lite.bing.com (see SearchService.js for the interface). Organic
+ * results are `li.b_algo` items in `#b_results`: the title link sits in the `h2`, and the
+ * snippet is the caption paragraph (`.b_caption p`, or a `.b_lineclamp*` paragraph on
+ * newer layouts, minus the little label badges Bing puts in front). Ads live in `li.b_ad`
+ * and are not matched. Bing wraps result links in its click tracker
+ * (`/ck/a?...&u=a1<base64url target>`), which is decoded back to the target.
+ */
+
+const NAME = "bing-lite";
+const LABEL = "Bing Lite";
+const SNIPPET_BADGES = ".algoSlug_icon, .news_dt";
+const CHALLENGE_MARKERS = ["solve the challenge", "verify you are a human", "unusual traffic"];
+
+export function buildRequest(query) {
+  const url = new URL("https://lite.bing.com/search");
+  url.searchParams.set("q", query);
+  url.searchParams.set("setlang", "en-US");
+  return { url: url.href, headers: { accept: "text/html", "accept-language": "en-US,en;q=0.8" } };
+}
+
+export function parse(html, { url } = {}) {
+  const $ = loadHtml(html);
+  const text = $("body").text().replace(/\s+/g, " ").trim().toLowerCase();
+  if ($("#b_captcha, form[action*='captcha']").length || CHALLENGE_MARKERS.some((marker) => text.includes(marker))) {
+    throw new SearchProviderError(NAME, "blocked", `${LABEL} answered with a bot challenge`);
+  }
+
+  const items = $("li.b_algo").toArray();
+  if (!items.length) {
+    if ($("li.b_no").length || text.includes("there are no results for")) {
+      return [];
+    }
+    throw new SearchProviderError(NAME, "parse", `${LABEL} returned a page without recognizable results`);
+  }
+
+  return items.map((item) => {
+    const link = $(item).find("h2 a").first();
+    const snippet = $(item).find(".b_caption p, p[class^='b_lineclamp'], p[class*=' b_lineclamp']").first().clone();
+    snippet.find(SNIPPET_BADGES).remove();
+    return {
+      title: link.text(),
+      url: unwrapRedirect(link.attr("href"), url),
+      snippet: snippet.text(),
+    };
+  });
+}
+
+function unwrapRedirect(href, baseUrl = "https://lite.bing.com/search") {
+  if (!href) return null;
+  try {
+    const resolved = new URL(href, baseUrl);
+    if (/(^|\.)bing\.com$/i.test(resolved.hostname) && resolved.pathname === "/ck/a") {
+      const encoded = resolved.searchParams.get("u") || "";
+      return encoded.startsWith("a1") ? Buffer.from(encoded.slice(2), "base64url").toString("utf8") : null;
+    }
+    return resolved.href;
+  } catch {
+    return null;
+  }
+}
+
+export default { name: NAME, label: LABEL, buildRequest, parse };
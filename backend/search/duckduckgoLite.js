@@ -0,0 +1,68 @@
+import { load as loadHtml } from "cheerio";
+import { SearchProviderError } from "./SearchService.js";
+
+/**
+ * duckduckgoLite.js
+ *
+ * Search adapter for lite.duckduckgo.com (see SearchService.js for the interface). The
+ * lite page is a table: each result is a row with an `a.result-link`, followed by a row
+ * with its `td.result-snippet` and one with the displayed `span.link-text`. Sponsored
+ * rows carry `result-sponsored` and are skipped. Result links may point at DuckDuckGo's
+ * click redirector (`/l/?uddg=<target>`), which is unwrapped to the target itself.
+ */
+
+const NAME = "duckduckgo-lite";
+const LABEL = "DuckDuckGo Lite";
+const CHALLENGE_MARKERS = ["bots use duckduckgo too", "select all squares containing a duck", "unusual traffic"];
+const EMPTY_MARKERS = ["no results.", "no more results."];
+
+export function buildRequest(query) {
+  const url = new URL("https://lite.duckduckgo.com/lite/");
+  url.searchParams.set("q", query);
+  url.searchParams.set("kl", "wt-wt");
+  return { url: url.href, headers: { accept: "text/html", "accept-language": "en-US,en;q=0.8" } };
+}
+
+export function parse(html, { url } = {}) {
+  const $ = loadHtml(html);
+  const text = $("body").text().replace(/\s+/g, " ").trim().toLowerCase();
+  if ($(".anomaly-modal, form#challenge-form").length || CHALLENGE_MARKERS.some((marker) => text.includes(marker))) {
+    throw new SearchProviderError(NAME, "blocked", `${LABEL} answered with a bot challenge`);
+  }
+
+  const links = $("a.result-link").toArray();
+  if (!links.length) {
+    if (EMPTY_MARKERS.some((marker) => text.includes(marker))) {
+      return [];
+    }
+    throw new SearchProviderError(NAME, "parse", `${LABEL} returned a page without recognizable results`);
+  }
+
+  const results = [];
+  for (const link of links) {
+    const row = $(link).closest("tr");
+    if (row.hasClass("result-sponsored") || row.find(".result-sponsored").length) continue;
+    const snippetRow = row.nextAll("tr").first();
+    results.push({
+      title: $(link).text(),
+      url: unwrapRedirect($(link).attr("href"), url),
+      snippet: snippetRow.find("td.result-snippet").text(),
+    });
+  }
+  return results;
+}
+
+function unwrapRedirect(href, baseUrl = "https://lite.duckduckgo.com/lite/") {
+  if (!href) return null;
+  try {
+    const resolved = new URL(href, baseUrl);
+    if (/(^|\.)duckduckgo\.com$/i.test(resolved.hostname) && resolved.pathname === "/l/") {
+      return resolved.searchParams.get("uddg");
+    }
+    return resolved.href;
+  } catch {
+    return null;
+  }
+}
+
+export default { name: NAME, label: LABEL, buildRequest, parse };
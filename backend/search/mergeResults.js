@@ -0,0 +1,111 @@
+/**
+ * mergeResults.js
+ *
+ * Folds the result lists of several search providers into one ranking.
+ *
+ * Results are matched by canonical URL (see canonicalizeResultUrl), so the same page
+ * found by two providers counts once. Merged results are ordered by agreement first:
+ * how many providers returned the page. Ties go to the higher reciprocal-rank sum
+ * (1 / (RANK_OFFSET + position), added up over the providers), then to the best single
+ * position. Title, snippet and URL come from the provider that ranked the page highest,
+ * with the longest snippet filling in when that one has none. The URL loses its tracking
+ * parameters, and is upgraded to https when any provider listed the page that way.
+ */
+
+const RANK_OFFSET = 60;
+const TRACKING_PARAMS = new Set([
+  "fbclid",
+  "gclid",
+  "dclid",
+  "msclkid",
+  "yclid",
+  "igshid",
+  "mc_cid",
+  "mc_eid",
+  "ref_src",
+  "_ga",
+  "_hsenc",
+  "_hsmi",
+]);
+
+/**
+ * A matching key for a result URL: scheme, `www.`, default ports, fragments, tracking
+ * parameters (utm_* and the usual click ids), parameter order and a trailing slash are
+ * all ignored. Returns null for URLs that do not parse.
+ */
+export function canonicalizeResultUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return null;
+  }
+  const host = url.hostname.toLowerCase().replace(/^www\./, "");
+  const port = url.port && !["80", "443"].includes(url.port) ? `:${url.port}` : "";
+  const params = [...url.searchParams]
+    .filter(([name]) => !isTrackingParam(name))
+    .sort(([a, aValue], [b, bValue]) => (a === b ? aValue.localeCompare(bValue) : a.localeCompare(b)));
+  const query = params.length ? `?${new URLSearchParams(params)}` : "";
+  const pathname = url.pathname.length > 1 ? url.pathname.replace(/\/+$/, "") : "";
+  return `${host}${port}${pathname}${query}`;
+}
+
+/**
+ * Merges `lists` ([{ provider, results }], results in provider order) into
+ * [{ title, url, snippet, provider, providers, score }]. `provider` is the provider whose
+ * copy was used and `providers` every provider that returned the page.
+ */
+export function mergeResults(lists) {
+  const merged = new Map();
+  for (const { provider, results } of lists) {
+    results.forEach((result, position) => {
+      const key = canonicalizeResultUrl(result.url);
+      if (!key) return;
+      let entry = merged.get(key);
+      if (!entry) {
+        entry = { best: null, bestPosition: Infinity, providers: [], score: 0, snippet: "", secure: false };
+        merged.set(key, entry);
+      }
+      // A provider listing the same page twice only counts its better position.
+      if (entry.providers.includes(provider)) return;
+      entry.providers.push(provider);
+      entry.score += 1 / (RANK_OFFSET + position + 1);
+      if (position < entry.bestPosition) {
+        entry.best = result;
+        entry.bestPosition = position;
+      }
+      entry.secure ||= result.url.startsWith("https:");
+      if (result.snippet.length > entry.snippet.length) {
+        entry.snippet = result.snippet;
+      }
+    });
+  }
+  return [...merged.values()]
+    .sort((a, b) => b.providers.length - a.providers.length || b.score - a.score || a.bestPosition - b.bestPosition)
+    .map((entry) => ({
+      title: entry.best.title,
+      url: cleanResultUrl(entry.best.url, entry.secure),
+      snippet: entry.best.snippet || entry.snippet,
+      provider: entry.best.provider,
+      providers: entry.providers,
+      score: Number(entry.score.toFixed(5)),
+    }));
+}
+
+function cleanResultUrl(value, secure) {
+  const url = new URL(value);
+  for (const name of [...url.searchParams.keys()]) {
+    if (isTrackingParam(name)) {
+      url.searchParams.delete(name);
+    }
+  }
+  if (secure && url.protocol === "http:") {
+    url.protocol = "https:";
+  }
+  return url.href;
+}
+
+function isTrackingParam(name) {
+  const lower = name.toLowerCase();
+  return lower.startsWith("utm_") || TRACKING_PARAMS.has(lower);
+}
@@ -1,16 +1,48 @@
 import compression from "compression";
 import express from "express";
 import morgan from "morgan";
-import { createServer } from "node:http";
+import { STATUS_CODES, createServer } from "node:http";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
-import { randomUUID } from "node:crypto";
-import { Readable } from "node:stream";
-import { promises as fs } from "node:fs";
-import { load } from "cheerio";
+import { randomBytes, randomUUID } from "node:crypto";
+import { Readable, Transform, pipeline } from "node:stream";
+import { promises as fs, readFileSync } from "node:fs";
 import { WebSocketServer, WebSocket } from "ws";
 import { NginxLikeController } from "./simulation/NginxLikeController.js";
 import SmartCache from "./simulation/SmartCache.js";
+import { decodeBody, prescanHtmlCharset, resolveBodyCharset, sniffStreamCharset } from "./relay/charset.js";
+import {
+  UPSTREAM_ACCEPT_ENCODING,
+  clientAcceptsEncoding,
+  fetchUpstream,
+  limitBodyStream,
+  parseContentEncoding,
+  upstreamTimeoutPhase,
+} from "./relay/upstream.js";
+import { AddressGuard, isBlockedAddressError } from "./relay/AddressGuard.js";
+import { CookieJar } from "./relay/CookieJar.js";
+import { rewriteContentSecurityPolicy } from "./relay/CspRewriter.js";
+import { FakeRenderer } from "./relay/FakeRenderer.js";
+import { HeadlessPool, isHeadlessQueueError } from "./relay/HeadlessPool.js";
+import { HeaderPolicy } from "./relay/HeaderPolicy.js";
+import { IntegrityLedger } from "./relay/IntegrityLedger.js";
+import { renderLiteDocument } from "./relay/LiteRenderer.js";
+import { ProfileRegistry } from "./relay/ProfileRegistry.js";
+import { extractArticle } from "./relay/ReaderExtractor.js";
+import { rewriteCssUrlReferences } from "./relay/CssUrlRewriter.js";
+import { requestCarriesJarCookies, responseSetsCookies } from "./relay/cacheScope.js";
+import { JsModuleRewriter, isJavaScriptContentType } from "./relay/JsModuleRewriter.js";
+import { PlaywrightRenderer } from "./relay/PlaywrightRenderer.js";
+import { UpstreamPool, isUpstreamQueueError } from "./relay/UpstreamPool.js";
+import { connectUpstreamWebSocket, guardUpgradeSocket, isClientGoneError } from "./relay/WebSocketRelay.js";
+import bingLite from "./search/bingLite.js";
+import duckduckgoLite from "./search/duckduckgoLite.js";
+import { SearchService } from "./search/SearchService.js";
+import {
+  StreamingHtmlRewriter,
+  createHtmlRewriteStream,
+  escapeHtmlAttribute,
+} from "./relay/StreamingHtmlRewriter.js";
 
 const SAFEZONE_OP = {
   OPEN: "OPEN",
@@ -35,6 +67,13 @@ const BANNED_USERS_PATH = path.resolve(DATA_DIR, "banned-users.json");
 const BANNED_DEVICES_PATH = path.resolve(DATA_DIR, "banned-devices.json");
 const CHAT_LOG_PATH = path.resolve(DATA_DIR, "chat-log.json");
 const SCIENTIST_MEMORY_PATH = path.resolve(DATA_DIR, "scientist-memories.json");
+const COOKIE_JAR_PATH = path.resolve(DATA_DIR, "cookie-jar.json");
+const COOKIE_JAR_PERSIST_DELAY = 5_000;
+const PROFILES_DIR = path.resolve(__dirname, "profiles");
+const HEADER_POLICY_PATH = path.resolve(
+  __dirname,
+  process.env.POWERTHROUGH_HEADER_POLICY || "config/header-policy.json"
+);
 const DEVICE_COOKIE_NAME = "coffeeshop_device";
 const DEVICE_COOKIE_MAX_AGE = 60 * 60 * 24 * 365;
 const CHAT_MAX_MESSAGES = Number(process.env.COFFEESHOP_CHAT_MAX ?? process.env.SUPERSONIC_CHAT_MAX ?? 500);
@@ -42,27 +81,133 @@ const USER_REGISTRY_VERSION = "2024-11-reset";
 const CACHE_TTL = Number(process.env.POWERTHROUGH_CACHE_TTL ?? 15_000);
 const CACHE_MAX_ENTRIES = Math.max(50, Number(process.env.POWERTHROUGH_CACHE_MAX ?? 400));
 const CACHE_RESPECT_CONTROL = process.env.POWERTHROUGH_CACHE_RESPECT !== "false";
+const CACHE_ASSET_MAX_BYTES = Number(process.env.POWERTHROUGH_CACHE_ASSET_MAX ?? 5 * 1024 * 1024);
 const ENABLE_CACHE = CACHE_TTL > 0;
 const ENABLE_HEADLESS = process.env.POWERTHROUGH_HEADLESS === "true";
 const HEADLESS_MAX_CONCURRENCY = Number(process.env.POWERTHROUGH_HEADLESS_MAX ?? 2);
+const HEADLESS_BACKEND = process.env.POWERTHROUGH_HEADLESS_BACKEND || "playwright";
+const HEADLESS_TIMEOUT = Number(process.env.POWERTHROUGH_HEADLESS_TIMEOUT ?? 30_000);
+const HEADLESS_QUEUE = {
+  maxQueue: Number(process.env.POWERTHROUGH_HEADLESS_QUEUE_MAX ?? 16),
+  queueTimeout: Number(process.env.POWERTHROUGH_HEADLESS_QUEUE_TIMEOUT ?? 15_000),
+};
+const HEADLESS_MAX_CONTEXTS = Number(process.env.POWERTHROUGH_HEADLESS_CONTEXTS ?? 4);
+const FALLBACK_USER_AGENT =
+  process.env.POWERTHROUGH_FALLBACK_UA ||
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0 Safari/537.36";
 const DOMAIN_FAILURE_THRESHOLD = Number(process.env.POWERTHROUGH_DOMAIN_FAIL_THRESHOLD ?? 3);
 const DOMAIN_FAILURE_WINDOW = Number(process.env.POWERTHROUGH_DOMAIN_FAIL_WINDOW ?? 30_000);
 const DOMAIN_FAILURE_COOLDOWN = Number(process.env.POWERTHROUGH_DOMAIN_FAIL_COOLDOWN ?? 45_000);
 const ADMIN_TOKEN = process.env.POWERTHROUGH_ADMIN_TOKEN || "";
 const ADMIN_HEADER = "x-coffeeshop-admin";
 const REQUEST_ID_HEADER = "x-coffeeshop-request-id";
+const REDIRECT_CHAIN_TTL = 60_000;
+const REDIRECT_CHAIN_MAX_HOPS = 20;
+const UPSTREAM_TIMEOUTS = {
+  connect: Number(process.env.POWERTHROUGH_CONNECT_TIMEOUT ?? 10_000),
+  headers: Number(process.env.POWERTHROUGH_HEADERS_TIMEOUT ?? 20_000),
+  body: Number(process.env.POWERTHROUGH_BODY_IDLE_TIMEOUT ?? 30_000),
+};
+const UPSTREAM_POOL = {
+  maxConnectionsPerHost: Number(process.env.POWERTHROUGH_MAX_CONNECTIONS_PER_HOST ?? 6),
+  keepAliveTimeout: Number(process.env.POWERTHROUGH_KEEPALIVE_TIMEOUT ?? 10_000),
+  maxQueue: Number(process.env.POWERTHROUGH_POOL_QUEUE_MAX ?? 64),
+  queueTimeout: Number(process.env.POWERTHROUGH_POOL_QUEUE_TIMEOUT ?? 10_000),
+};
+const LITE_MODE = {
+  imageMaxBytes: Number(process.env.POWERTHROUGH_LITE_IMAGE_MAX ?? 150 * 1024),
+  cssBudgetBytes: Number(process.env.POWERTHROUGH_LITE_CSS_BUDGET ?? 100 * 1024),
+  fetchTimeout: Number(process.env.POWERTHROUGH_LITE_FETCH_TIMEOUT ?? 4_000),
+};
+const MAX_REQUEST_BODY_BYTES = Number(process.env.POWERTHROUGH_MAX_BODY_BYTES ?? 10 * 1024 * 1024);
+const WS_RELAY_HANDSHAKE_TIMEOUT = Number(process.env.POWERTHROUGH_WS_HANDSHAKE_TIMEOUT ?? 10_000);
+const WS_RELAY_FORWARD_HEADERS = ["user-agent", "accept-language"];
+const INTEGRITY_DIAGNOSTICS_MAX = 50;
+const SEARCH_TIMEOUT = Number(process.env.POWERTHROUGH_SEARCH_TIMEOUT ?? 6_000);
+const SEARCH_PROVIDER_ORDER = (process.env.POWERTHROUGH_SEARCH_PROVIDERS || "duckduckgo-lite,bing-lite")
+  .split(",")
+  .map((name) => name.trim())
+  .filter(Boolean);
+const SEARCH_PAGE_MAX_BYTES = 2 * 1024 * 1024;
+const SEARCH_META_LIMIT = Number(process.env.POWERTHROUGH_SEARCH_META_LIMIT ?? 20);
+const SEARCH_LITE_STYLES = [
+  "body{margin:0;background:#fbfaf7;color:#1f1d1a;font:16px/1.5 system-ui,sans-serif}",
+  ".search{max-width:46rem;margin:0 auto;padding:1.5rem 1.25rem 3rem}",
+  ".search__form{display:flex;gap:.5rem;margin-bottom:1rem}",
+  ".search__form input{flex:1;padding:.5rem .75rem;font:inherit;border:1px solid #d8d2c4;border-radius:.5rem}",
+  ".search__form button{padding:.5rem 1rem;font:inherit;border:1px solid #d8d2c4;border-radius:.5rem}",
+  ".search__meta{color:#6b645a;font-size:.85rem}",
+  ".results{list-style:none;margin:0;padding:0}",
+  ".result{margin:1.25rem 0}",
+  ".result a{color:#2b5a9e;font-size:1.1rem;text-decoration:none}",
+  ".result a:hover{text-decoration:underline}",
+  ".result cite{display:block;color:#2e7d4f;font-size:.85rem;font-style:normal;overflow-wrap:anywhere}",
+  ".result p{margin:.25rem 0 0}",
+  ".result__sources{color:#6b645a}",
+  ".msg-error{padding:.75rem 1rem;border:1px solid #e0b4b4;border-radius:.5rem;background:#fff6f6}",
+].join("");
+const CAPTURE_FORMATS = { png: "image/png", pdf: "application/pdf" };
+const CAPTURE_VIEWPORT = { width: [320, 3840, 1280], height: [240, 2160, 800] };
+const CAPTURE_SELECTOR_MAX_LENGTH = 200;
+const HEADLESS_KEPT_HEADERS = new Set(["cache-control", "expires", "last-modified", "content-language"]);
+const READER_STYLES = [
+  "body{margin:0;background:#fbfaf7;color:#1f1d1a;font:19px/1.65 Georgia,'Times New Roman',serif}",
+  ".reader{max-width:42rem;margin:0 auto;padding:2.5rem 1.25rem 4rem}",
+  ".reader__site,.reader__byline{margin:.25rem 0;color:#6b645a;font:14px/1.4 system-ui,sans-serif}",
+  ".reader__original{font:14px system-ui,sans-serif;color:#6b645a}",
+  "h1{font-size:2rem;line-height:1.2;margin:.5rem 0}",
+  "a{color:#2b5a9e}",
+  "img,video{max-width:100%;height:auto}",
+  "pre{overflow:auto;background:#f0ede6;padding:.75rem;font-size:.8em}",
+  "blockquote{margin:1em 0;padding-left:1em;border-left:3px solid #d8d2c4;color:#4a453e}",
+  "table{border-collapse:collapse}td,th{border:1px solid #d8d2c4;padding:.25rem .5rem}",
+].join("");
 
 const nginxController = new NginxLikeController();
 const smartCache = new SmartCache(path.join(DATA_DIR, "smart-cache"));
+const cookieJar = new CookieJar();
+let cookieJarPersistTimer = null;
+const jsModuleRewriter = new JsModuleRewriter({
+  rewriteUrl: (url) => buildCoffeeShopUrl(url),
+  maxEntries: Number(process.env.POWERTHROUGH_JS_CACHE_MAX ?? 200),
+});
+const profileRegistry = new ProfileRegistry();
+const headlessPool = new HeadlessPool({
+  backend: createHeadlessBackend(),
+  maxConcurrency: HEADLESS_MAX_CONCURRENCY,
+  ...HEADLESS_QUEUE,
+});
+const integrityLedger = new IntegrityLedger();
+const searchService = new SearchService({
+  providers: [duckduckgoLite, bingLite]
+    .filter((provider) => SEARCH_PROVIDER_ORDER.includes(provider.name))
+    .sort((a, b) => SEARCH_PROVIDER_ORDER.indexOf(a.name) - SEARCH_PROVIDER_ORDER.indexOf(b.name)),
+  fetchPage: fetchSearchPage,
+  timeout: SEARCH_TIMEOUT,
+});
 
 const app = express();
 const server = createServer(app);
-const wss = new WebSocketServer({ noServer: true });
+// Safezone bodies arrive inside a single JSON frame, base64 encoded at worst.
+const wss = new WebSocketServer({ noServer: true, maxPayload: Math.ceil((MAX_REQUEST_BODY_BYTES * 4) / 3) + 64 * 1024 });
+// Target-site sockets: the client handshake only completes once the upstream accepted,
+// and then echoes whichever subprotocol the upstream picked.
+const relayWss = new WebSocketServer({
+  noServer: true,
+  perMessageDeflate: false,
+  handleProtocols: (protocols, request) => request.coffeeshopUpstreamProtocol || false,
+});
 const jsonParser = express.json({ limit: "50kb" });
 fs.mkdir(DATA_DIR, { recursive: true }).catch(() => {});
 loadBannedCacheKeys().catch((error) => {
   console.error("[coffeeshop] failed to load banned caches", error);
 });
+loadCookieJar().catch((error) => {
+  console.error("[coffeeshop] failed to load cookie jar", error);
+});
+profileRegistry.loadDirectory(PROFILES_DIR).catch((error) => {
+  console.error("[coffeeshop] failed to load site profiles", error);
+});
 loadUserRegistry().catch((error) => {
   console.error("[coffeeshop] failed to load user registry", error);
 });
@@ -84,7 +229,12 @@ loadScientistMemoryStore().catch((error) => {
 
 app.disable("x-powered-by");
 app.use(morgan("dev"));
-app.use(compression());
+app.use(
+  compression({
+    // Re-compressing a relayed 206 would invalidate its Content-Range.
+    filter: (req, res) => !res.getHeader("content-range") && compression.filter(req, res),
+  })
+);
 app.use((req, res, next) => {
   const cookies = parseCookies(req.headers.cookie);
   let deviceId = sanitizeUid(cookies[DEVICE_COOKIE_NAME]);
@@ -122,23 +272,97 @@ const hopByHopHeaders = new Set([
   "upgrade",
 ]);
 
-const blockedHosts = new Set(["localhost", "127.0.0.1", "::1", "0.0.0.0"]);
 const envBlocked = (process.env.POWERTHROUGH_BLOCKLIST || "")
   .split(",")
   .map((entry) => entry.trim().toLowerCase())
   .filter(Boolean);
-envBlocked.forEach((host) => blockedHosts.add(host));
-const upstreamRewriteRules = [
-  { test: /duckduckgo\.com/i, csp: "duckduckgo-hardened" },
-  { test: /google\./i, csp: "google-compatible" },
-  { test: /bing\.com/i, csp: "bing-compatible" },
+const addressGuard = new AddressGuard({ blocklist: envBlocked });
+// Every upstream connection resolves through the guard, so the IP that passed the
+// check is the one the socket connects to (no DNS-rebinding window).
+// Per-phase timeouts: TCP/TLS connect, time to response headers, and the longest
+// silence allowed between two body chunks. Connections are kept alive in one pool per
+// origin, with a bounded queue once a host has UPSTREAM_POOL.maxConnectionsPerHost in flight.
+const upstreamPool = new UpstreamPool({
+  connect: { lookup: addressGuard.lookup, timeout: UPSTREAM_TIMEOUTS.connect },
+  headersTimeout: UPSTREAM_TIMEOUTS.headers,
+  bodyTimeout: UPSTREAM_TIMEOUTS.body,
+  ...UPSTREAM_POOL,
+});
+// Site-specific header handling lives in HEADER_POLICY_PATH. The relay keeps ownership of
+// framing (hop-by-hop, Host, lengths and encodings) and of cookies, which go through the jar.
+const headerPolicy = new HeaderPolicy({
+  protectedHeaders: [
+    ...hopByHopHeaders,
+    "host",
+    "cookie",
+    "set-cookie",
+    "content-length",
+    "content-encoding",
+    "accept-encoding",
+  ],
+});
+loadHeaderPolicy();
+// [tag ("*" = any element), attribute, kind]; kinds map to attributeRewriters below.
+// <base href> is handled separately because it changes how the rest of the document resolves.
+const attributesToRewrite = [
+  ["a", "href"],
+  ["area", "href"],
+  ["link", "href"],
+  ["link", "imagesrcset", "srcset"],
+  ["img", "src"],
+  ["input", "src"],
+  ["script", "src"],
+  ["iframe", "src"],
+  ["frame", "src"],
+  ["source", "src"],
+  ["video", "src"],
+  ["video", "poster"],
+  ["audio", "src"],
+  ["track", "src"],
+  ["object", "data"],
+  ["embed", "src"],
+  ["form", "action"],
+  ["button", "formaction"],
+  ["input", "formaction"],
+  ["body", "background"],
+  ["table", "background"],
+  ["td", "background"],
+  ["meta", "content", "refresh"],
+  ["meta", "content", "csp"],
+  // SVG references; in-document "#id" targets are left alone by rewriteUrlAttribute.
+  ["image", "href"],
+  ["image", "xlink:href"],
+  ["use", "href"],
+  ["use", "xlink:href"],
+  ["feimage", "href"],
+  ["feimage", "xlink:href"],
+  ["a", "xlink:href"],
+  ["script", "xlink:href"],
+  // Lazy-loading conventions (lazysizes, lozad, jQuery lazy and friends).
+  ["*", "data-src"],
+  ["*", "data-lazy-src"],
+  ["*", "data-original"],
+  ["*", "data-srcset", "srcset"],
+  ["*", "srcset", "srcset"],
+  ["*", "style", "css"],
 ];
+const attributeRewriters = {
+  // An empty form action submits to the document itself, not to <base>.
+  url: (value, attribute, attribs, baseUrl, documentUrl) =>
+    rewriteUrlAttribute(value, attribute, value ? baseUrl : documentUrl),
+  srcset: (value, attribute, attribs, baseUrl) => (value ? rewriteSrcsetValue(value, baseUrl) : null),
+  css: (value, attribute, attribs, baseUrl) => (value ? rewriteCssUrls(value, baseUrl) : null),
+  refresh: (value, attribute, attribs, baseUrl) =>
+    value && /^\s*refresh\s*$/i.test(attribs["http-equiv"] || "") ? rewriteRefreshValue(value, baseUrl) : null,
+  // <meta> policies only govern markup after them, which never includes the head injection.
+  csp: (value, attribute, attribs) =>
+    value && /^\s*content-security-policy\s*$/i.test(attribs["http-equiv"] || "")
+      ? rewriteContentSecurityPolicy(value)
+      : null,
+};
 const cacheStore = new Map();
 const domainHealth = new Map();
-const duckLiteSession = {
-  cookie: "",
-  lastUpdated: 0,
-};
+const redirectChains = new Map();
 const bannedCacheKeys = new Set();
 const userRegistry = new Map();
 const userLogs = [];
@@ -158,10 +382,21 @@ const metrics = {
   totalLatencyMs: 0,
   headlessRequests: 0,
   headlessFailures: 0,
-  headlessActive: 0,
   safezoneRequests: 0,
   safezoneErrors: 0,
   domainBlocks: 0,
+  upstreamTimeouts: 0,
+  clientAborts: 0,
+  upstreamQueueRejections: 0,
+  liteRenders: 0,
+  readerExtractions: 0,
+  captures: 0,
+  searchQueries: 0,
+  metasearchQueries: 0,
+  searchProviderFailures: 0,
+  websocketRelays: 0,
+  websocketRelaysActive: 0,
+  websocketRelayErrors: 0,
 };
 const SCIENTIST_MEMORY_STORE = new Map();
 let scientistMemoryPersistTimer = null;
@@ -170,7 +405,6 @@ const SCIENTIST_MODEL_NAME = process.env.SCIENTIST_MODEL_NAME || "gpt-4o-mini";
 const SCIENTIST_MODEL_API_KEY = process.env.SCIENTIST_MODEL_API_KEY || process.env.OPENAI_API_KEY || "";
 const SCIENTIST_MODEL_TEMPERATURE = Number(process.env.SCIENTIST_MODEL_TEMPERATURE ?? 0.65);
 const SCIENTIST_MEMORY_TOPIC_LIMIT = Number(process.env.SCIENTIST_MEMORY_TOPIC_LIMIT ?? 12);
-let chromiumLoader = null;
 class ProxyError extends Error {
   constructor(status, message, details) {
     super(message);
@@ -187,38 +421,156 @@ app.get("/proxy/:encoded", (req, res) => {
   redirectProxyRequest(req, res, req.params.encoded);
 });
 
-app.get("/search/lite", async (req, res) => {
-  const termRaw = Array.isArray(req.query.q) ? req.query.q[0] : req.query.q;
-  const term = (termRaw || "").toString().trim();
+app.get("/powerthrough/cookies", (req, res) => {
+  const deviceId = sanitizeUid(req.coffeeDeviceId);
+  const site = normalizeCookieSite(getFirstQueryValue(req.query.site));
+  res.setHeader("cache-control", "no-store");
+  res.json({ site, cookies: cookieJar.list(deviceId, { site }) });
+});
+
+app.delete("/powerthrough/cookies", (req, res) => {
+  const deviceId = sanitizeUid(req.coffeeDeviceId);
+  const site = normalizeCookieSite(getFirstQueryValue(req.query.site));
+  const cleared = cookieJar.clear(deviceId, { site });
+  if (cleared) {
+    scheduleCookieJarPersist();
+  }
+  res.json({ ok: true, site, cleared });
+});
+
+// Normalized web search: { query, provider, results: [{ title, url, snippet, provider }],
+// errors: [{ provider, reason, message }] }. Providers are tried in order until one
+// answers; `provider=` pins a single one.
+app.get("/search/api", async (req, res) => {
+  const term = (getFirstQueryValue(req.query.q) || "").toString().trim();
   if (!term) {
-    return res.redirect("/");
+    return res.status(400).json({ error: "Missing q query parameter." });
+  }
+  const providerParam = getFirstQueryValue(req.query.provider);
+  if (providerParam && !searchService.has(providerParam)) {
+    return res
+      .status(400)
+      .json({ error: "Unknown search provider.", details: `Use one of: ${searchService.providerNames.join(", ")}.` });
+  }
+  const abortController = new AbortController();
+  res.once("close", () => {
+    if (!res.writableFinished) {
+      abortController.abort();
+    }
+  });
+  try {
+    const payload = await runSearch(term, providerParam, abortController.signal);
+    res.setHeader("cache-control", "no-store");
+    if (!payload.provider) {
+      return res.status(502).json({ ...payload, error: "No search provider answered." });
+    }
+    return res.json(payload);
+  } catch (error) {
+    if (abortController.signal.aborted) {
+      return res.end();
+    }
+    console.error("[coffeeshop] search failed", error);
+    return res.status(502).json({ error: "Unable to search right now.", details: error.message });
   }
+});
+
+// Metasearch: every provider is asked at once, each under its own timeout, and the
+// results are merged into one page ranked by how many providers agree (search/mergeResults.js).
+// Answers { query, results: [{ title, url, snippet, provider, providers, score }],
+// providers: [{ name, label, ok, count, tookMs }], errors }.
+app.get("/search/meta", async (req, res) => {
+  const term = (getFirstQueryValue(req.query.q) || "").toString().trim();
+  if (!term) {
+    return res.status(400).json({ error: "Missing q query parameter." });
+  }
+  const providersParam = getFirstQueryValue(req.query.providers);
+  const providerNames = providersParam
+    ? providersParam.split(",").map((name) => name.trim()).filter(Boolean)
+    : searchService.providerNames;
+  const unknown = providerNames.filter((name) => !searchService.has(name));
+  if (unknown.length || !providerNames.length) {
+    return res
+      .status(400)
+      .json({ error: "Unknown search provider.", details: `Use any of: ${searchService.providerNames.join(", ")}.` });
+  }
+  const abortController = new AbortController();
+  res.once("close", () => {
+    if (!res.writableFinished) {
+      abortController.abort();
+    }
+  });
   try {
-    const { html, upstreamUrl } = await fetchDuckLiteResults(term);
-    const context = { requestId: createRequestId("search-lite"), renderer: "direct" };
-    let rewritten = rewriteHtmlDocument(html, upstreamUrl, context);
-    rewritten = patchDuckduckgoPage(rewritten);
-    const uid = sanitizeUid(getFirstQueryValue(req.query.uid));
-    const username = sanitizeUsernameInput(getFirstQueryValue(req.query.uname));
-    res.setHeader("content-type", "text/html; charset=utf-8");
+    const payload = await runMetasearch(term, providerNames, abortController.signal);
     res.setHeader("cache-control", "no-store");
-    res.setHeader("x-coffeeshop-renderer", "search-lite");
-    if (uid) {
-      recordUserLog({
-        uid,
-        username,
-        deviceId: req.coffeeDeviceId,
-        target: upstreamUrl.toString(),
-        intent: "search",
-        renderer: "search-lite",
-        status: 200,
-      });
+    if (!payload.providers.some((provider) => provider.ok)) {
+      return res.status(502).json({ ...payload, error: "No search provider answered." });
     }
-    return res.send(rewritten);
+    return res.json(payload);
   } catch (error) {
+    if (abortController.signal.aborted) {
+      return res.end();
+    }
+    console.error("[coffeeshop] metasearch failed", error);
+    return res.status(502).json({ error: "Unable to search right now.", details: error.message });
+  }
+});
+
+// The workspace's built-in search page: metasearch results, or a single provider's with
+// `provider=`, rendered from the same payloads /search/meta and /search/api return.
+app.get("/search/lite", async (req, res) => {
+  const term = (getFirstQueryValue(req.query.q) || "").toString().trim();
+  if (!term) {
+    return res.redirect("/");
+  }
+  const providerParam = getFirstQueryValue(req.query.provider);
+  const requestId = createRequestId("search-lite");
+  res.setHeader(REQUEST_ID_HEADER, requestId);
+  const abortController = new AbortController();
+  res.once("close", () => {
+    if (!res.writableFinished) {
+      abortController.abort();
+    }
+  });
+  let payload;
+  try {
+    payload = searchService.has(providerParam)
+      ? await runSearch(term, providerParam, abortController.signal)
+      : await runMetasearch(term, searchService.providerNames, abortController.signal);
+  } catch (error) {
+    if (abortController.signal.aborted) {
+      return res.end();
+    }
     console.error("[coffeeshop] search lite failed", error);
-    return res.status(502).send("Unable to load search results right now.");
+    payload = {
+      query: term,
+      provider: null,
+      results: [],
+      errors: [{ provider: null, reason: "internal", message: error.message }],
+    };
   }
+  const status = listAnsweringProviders(payload).length ? 200 : 502;
+  const uid = sanitizeUid(getFirstQueryValue(req.query.uid));
+  const username = sanitizeUsernameInput(getFirstQueryValue(req.query.uname));
+  if (uid) {
+    recordUserLog({
+      uid,
+      username,
+      deviceId: req.coffeeDeviceId,
+      target: `search:${term}`,
+      intent: "search",
+      renderer: "search-lite",
+      status,
+    });
+  }
+  res.status(status);
+  res.setHeader("content-type", "text/html; charset=utf-8");
+  res.setHeader("cache-control", "no-store");
+  res.setHeader("x-coffeeshop-renderer", "search-lite");
+  res.setHeader(
+    "content-security-policy",
+    "default-src 'none'; style-src 'unsafe-inline'; form-action 'self'; frame-ancestors 'self'; base-uri 'none'"
+  );
+  return res.send(buildSearchLiteDocument(payload, { requestId }));
 });
 
 app.get("/chat/messages", (req, res) => {
@@ -411,6 +763,7 @@ app.get("/dev/panel", (req, res) => {
     caches,
     users,
     logs,
+    profiles: profileRegistry.list(),
     summary: {
       bannedCacheCount: bannedCacheKeys.size,
       bannedUserCount: bannedUsers.size,
@@ -422,6 +775,26 @@ app.get("/dev/panel", (req, res) => {
   });
 });
 
+// Dry run of the header policy: which rules would fire for a target URL (and, for the
+// response side, a content type) without fetching anything.
+app.get("/dev/header-policy", (req, res) => {
+  const urlParam = getFirstQueryValue(req.query.url);
+  const contentType = getFirstQueryValue(req.query.contentType) || "";
+  let targetUrl;
+  try {
+    targetUrl = normalizeTargetUrl(urlParam || "");
+  } catch (error) {
+    return res.status(400).json({ error: "Invalid URL provided.", details: error.message });
+  }
+  res.json({
+    url: targetUrl.href,
+    contentType: contentType || null,
+    source: HEADER_POLICY_PATH,
+    request: headerPolicy.explain("request", { url: targetUrl }),
+    response: headerPolicy.explain("response", { url: targetUrl, contentType }),
+  });
+});
+
 app.get("/dev/users/status/:uid", (req, res) => {
   const uid = sanitizeUid(req.params.uid);
   if (!uid) {
@@ -571,10 +944,21 @@ app.all("/powerthrough", async (req, res) => {
   const uidParam = deviceId || sanitizeUid(getFirstQueryValue(req.query.uid));
   const usernameParam = sanitizeUsernameInput(getFirstQueryValue(req.query.uname));
   const intentParam = getFirstQueryValue(req.query.intent) || "url";
+  const redirectChainId = sanitizeRedirectChainId(getFirstQueryValue(req.query.redirect));
   if (isDeviceBanned(deviceId) || isUidBanned(uidParam) || isUsernameBanned(usernameParam)) {
     return res.status(451).json({ error: "User banned.", details: "user-banned" });
   }
 
+  // Abort the upstream request when the client goes away (closed iframe, navigation).
+  // req "close" also fires once a request body has simply been read, so watch the
+  // response: closing before it finished means the client disconnected.
+  const abortController = new AbortController();
+  res.once("close", () => {
+    if (!res.writableFinished) {
+      abortController.abort();
+    }
+  });
+
   try {
     const result = await executeProxyCall({
       targetParam,
@@ -589,30 +973,176 @@ app.all("/powerthrough", async (req, res) => {
       user: uidParam ? { uid: uidParam, username: usernameParam, deviceId } : null,
       intent: intentParam,
       deviceId,
+      redirectChainId,
+      signal: abortController.signal,
     });
     if (!res.headersSent && result?.requestId && result.requestId !== requestId) {
       res.setHeader(REQUEST_ID_HEADER, result.requestId);
     }
     return applyProxyResult(res, result);
   } catch (error) {
-    const isProxyError = error instanceof ProxyError;
-    if (!isProxyError || error.status >= 500) {
-      metrics.upstreamErrors += 1;
-    console.error("[coffeeshop] proxy error", error);
+    return sendProxyError(res, error);
+  }
+});
+
+// Reader view: the page goes through the regular relay pipeline (cache, profiles, lite or
+// headless rendering, URL rewriting) and the main article is pulled out of the result.
+app.get("/powerthrough/reader", async (req, res) => {
+  const targetParam = getFirstQueryValue(req.query.url);
+  const formatParam = getFirstQueryValue(req.query.format);
+  const wantsJson = formatParam === "json" || (!formatParam && req.accepts(["html", "json"]) === "json");
+  const requestId = createRequestId("reader");
+  res.setHeader(REQUEST_ID_HEADER, requestId);
+  const deviceId = sanitizeUid(req.coffeeDeviceId);
+  const uidParam = deviceId || sanitizeUid(getFirstQueryValue(req.query.uid));
+  const usernameParam = sanitizeUsernameInput(getFirstQueryValue(req.query.uname));
+  if (isDeviceBanned(deviceId) || isUidBanned(uidParam) || isUsernameBanned(usernameParam)) {
+    return res.status(451).json({ error: "User banned.", details: "user-banned" });
+  }
+
+  const abortController = new AbortController();
+  res.once("close", () => {
+    if (!res.writableFinished) {
+      abortController.abort();
     }
-    const status = isProxyError ? error.status : 502;
-    const payload = {
-      error: isProxyError ? error.message : "Failed to reach target upstream.",
+  });
+
+  try {
+    const context = {
+      requestId,
+      user: uidParam ? { uid: uidParam, username: usernameParam, deviceId } : null,
+      intent: "reader",
+      deviceId,
+      signal: abortController.signal,
     };
-    const details = isProxyError ? error.details : error.message;
-    if (details) {
-      payload.details = details;
+    const result = await executeProxyCall(
+      {
+        targetParam,
+        renderHint: extractRenderHint(req),
+        clientRequest: { method: "GET", headers: buildReaderRequestHeaders(req.headers) },
+      },
+      context
+    );
+    const location = findHeaderValue(result.headers, "location");
+    if (result.status >= 300 && result.status < 400 && location?.startsWith("/powerthrough?")) {
+      const readerLocation = location.replace("/powerthrough?", "/powerthrough/reader?");
+      return res.redirect(
+        result.status,
+        formatParam ? `${readerLocation}&format=${encodeURIComponent(formatParam)}` : readerLocation
+      );
     }
-    if (!res.headersSent) {
-      res.status(status).json(payload);
-    } else {
-      res.end();
+    const contentType = findHeaderValue(result.headers, "content-type") || "";
+    if (!contentType.includes("text/html")) {
+      result.stream?.destroy();
+      throw new ProxyError(415, "Reader view needs an HTML page.", contentType || "no content type");
+    }
+    // Every HTML path of the relay (direct, lite, headless, cached) hands out UTF-8.
+    const html = (result.body ? Buffer.from(result.body) : await readStreamBuffer(result.stream)).toString("utf8");
+    const targetUrl = normalizeTargetUrl(targetParam);
+    const article = extractArticle(html, {
+      baseUrl: targetUrl,
+      rewriteUrl: (value, baseUrl) => rewriteUrlAttribute(value, "src", baseUrl),
+    });
+    metrics.readerExtractions += 1;
+    res.status(result.status);
+    res.setHeader("cache-control", "no-store");
+    res.setHeader("x-renderer", "reader");
+    if (wantsJson) {
+      return res.json({
+        url: targetUrl.href,
+        title: article.title,
+        byline: article.byline,
+        siteName: article.siteName,
+        excerpt: article.excerpt,
+        lang: article.lang,
+        publishedTime: article.publishedTime,
+        text: article.text,
+        images: article.images,
+        content: article.contentHtml,
+        length: article.length,
+      });
+    }
+    // Nothing in the view needs scripts; the article markup is cleaned, and this makes sure.
+    res.setHeader(
+      "content-security-policy",
+      "default-src 'none'; img-src 'self' data:; media-src 'self'; style-src 'unsafe-inline'; " +
+        "frame-ancestors 'self'; base-uri 'none'; form-action 'none'"
+    );
+    res.setHeader("content-type", "text/html; charset=utf-8");
+    return res.send(buildReaderDocument(article, targetUrl, context));
+  } catch (error) {
+    return sendProxyError(res, error);
+  }
+});
+
+// Screenshot (PNG) or print (PDF) of a page as the headless browser renders it, sent as a
+// download. Captures bypass the relay cache: they are meant to show the page right now.
+app.get("/powerthrough/capture", async (req, res) => {
+  const requestId = createRequestId("capture");
+  res.setHeader(REQUEST_ID_HEADER, requestId);
+  const deviceId = sanitizeUid(req.coffeeDeviceId);
+  const uidParam = deviceId || sanitizeUid(getFirstQueryValue(req.query.uid));
+  const usernameParam = sanitizeUsernameInput(getFirstQueryValue(req.query.uname));
+  if (isDeviceBanned(deviceId) || isUidBanned(uidParam) || isUsernameBanned(usernameParam)) {
+    return res.status(451).json({ error: "User banned.", details: "user-banned" });
+  }
+
+  const abortController = new AbortController();
+  res.once("close", () => {
+    if (!res.writableFinished) {
+      abortController.abort();
+    }
+  });
+
+  try {
+    if (!ENABLE_HEADLESS) {
+      throw new ProxyError(
+        503,
+        "Headless rendering is unavailable.",
+        "Captures need POWERTHROUGH_HEADLESS=true."
+      );
     }
+    const targetUrl = resolveTargetUrl(getFirstQueryValue(req.query.url));
+    const options = parseCaptureOptions(req.query);
+    const context = {
+      requestId,
+      user: uidParam ? { uid: uidParam, username: usernameParam, deviceId } : null,
+      intent: "capture",
+      deviceId,
+      signal: abortController.signal,
+    };
+    ensureDomainHealthy(targetUrl.hostname);
+    metrics.headlessRequests += 1;
+    let capture;
+    try {
+      await addressGuard.assertAllowed(targetUrl.hostname);
+      capture = await runHeadlessJob("capture", targetUrl, context, options);
+    } catch (error) {
+      throw toHeadlessProxyError(error, targetUrl, context);
+    }
+    recordDomainSuccess(targetUrl.hostname);
+    metrics.captures += 1;
+    const filename = buildCaptureFilename(capture.finalUrl || targetUrl, options.format);
+    const result = respondWithContext(
+      {
+        status: 200,
+        headers: [
+          ["content-type", capture.contentType || CAPTURE_FORMATS[options.format]],
+          ["content-disposition", `attachment; filename="${filename}"`],
+          ["cache-control", "no-store"],
+          ["x-renderer", "headless"],
+          ["x-coffeeshop-capture-status", String(capture.status)],
+        ],
+        body: capture.buffer,
+        renderer: "headless",
+      },
+      targetUrl,
+      context,
+      { renderer: "headless", status: capture.status }
+    );
+    return applyProxyResult(res, result);
+  } catch (error) {
+    return sendProxyError(res, error);
   }
 });
 
@@ -631,60 +1161,211 @@ server.on("upgrade", (request, socket, head) => {
     wss.handleUpgrade(request, socket, head, (ws) => {
       wss.emit("connection", ws, request);
     });
+  } else if (pathname === "/powerthrough") {
+    handleRelayUpgrade(request, socket, head).catch((error) => {
+      metrics.websocketRelayErrors += 1;
+      rejectUpgrade(socket, error);
+    });
   } else {
     socket.destroy();
   }
 });
 
-wss.on("connection", (ws, request) => {
-  setupSafezoneConnection(ws, request);
-});
+async function handleRelayUpgrade(request, socket, head) {
+  // Until the upstream answers, nothing else listens on the raw socket; a client reset
+  // in that window must not surface as an uncaught 'error'.
+  guardUpgradeSocket(socket);
+  const requestUrl = new URL(request.url || "", "http://relay.invalid");
+  const cookies = parseCookies(request.headers.cookie);
+  const deviceId = sanitizeUid(cookies[DEVICE_COOKIE_NAME]);
+  const uid = deviceId || sanitizeUid(requestUrl.searchParams.get("uid"));
+  const username = sanitizeUsernameInput(requestUrl.searchParams.get("uname"));
+  if (isDeviceBanned(deviceId) || isUidBanned(uid) || isUsernameBanned(username)) {
+    throw new ProxyError(451, "User banned.", "user-banned");
+  }
 
-async function executeProxyCall(params, context = {}) {
-  metrics.requests += 1;
-  const start = Date.now();
+  const targetUrl = resolveWebSocketTarget(requestUrl.searchParams.get("url"));
+  if (isBlockedHost(targetUrl.hostname)) {
+    throw new ProxyError(403, "Target host is not allowed.");
+  }
+  ensureDomainHealthy(targetUrl.hostname);
+
+  let upstream;
   try {
-    return await handleProxyRequest(params, context);
-  } finally {
-    metrics.totalLatencyMs += Date.now() - start;
+    upstream = await openUpstreamWebSocket(targetUrl, request, socket, deviceId);
+  } catch (error) {
+    if (isBlockedAddressError(error)) {
+      throw new ProxyError(403, "Target host is not allowed.", error.message);
+    }
+    if (!(error instanceof ProxyError)) {
+      recordDomainFailure(targetUrl.hostname);
+    }
+    throw error instanceof ProxyError ? error : new ProxyError(502, "Failed to reach target WebSocket.", error.message);
   }
-}
+  recordDomainSuccess(targetUrl.hostname);
 
-async function handleProxyRequest({ targetParam, renderHint, clientRequest }, context = {}) {
-  const urlParam = typeof targetParam === "string" ? targetParam : "";
-  if (!urlParam) {
-    throw new ProxyError(400, "Missing url query parameter.");
+  if (socket.destroyed) {
+    upstream.terminate();
+    return;
   }
+  request.coffeeshopUpstreamProtocol = upstream.protocol;
+  relayWss.handleUpgrade(request, socket, head, (client) => {
+    pipeWebSockets(client, upstream);
+  });
+}
 
+function resolveWebSocketTarget(value) {
   let targetUrl;
   try {
-    targetUrl = normalizeTargetUrl(urlParam);
+    targetUrl = new URL(value || "");
   } catch (error) {
     throw new ProxyError(400, "Invalid URL provided.", error.message);
   }
+  if (targetUrl.protocol === "http:" || targetUrl.protocol === "https:") {
+    targetUrl.protocol = targetUrl.protocol === "https:" ? "wss:" : "ws:";
+  }
+  if (!["ws:", "wss:"].includes(targetUrl.protocol)) {
+    throw new ProxyError(400, "Only WS(S) targets are supported.");
+  }
+  targetUrl.hash = "";
+  return targetUrl;
+}
 
-  if (!["http:", "https:"].includes(targetUrl.protocol)) {
-    throw new ProxyError(400, "Only HTTP(S) targets are supported.");
+function openUpstreamWebSocket(targetUrl, request, clientSocket, deviceId) {
+  const protocols = String(request.headers["sec-websocket-protocol"] || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+  const pageOrigin = new URL(targetUrl);
+  pageOrigin.protocol = targetUrl.protocol === "wss:" ? "https:" : "http:";
+  const headers = { origin: pageOrigin.origin };
+  for (const name of WS_RELAY_FORWARD_HEADERS) {
+    if (request.headers[name]) {
+      headers[name] = request.headers[name];
+    }
+  }
+  const cookieHeader = deviceId ? cookieJar.getCookieHeader(deviceId, targetUrl) : "";
+  if (cookieHeader) {
+    headers.cookie = cookieHeader;
   }
 
-  if (isBlockedHost(targetUrl.hostname)) {
-    throw new ProxyError(403, "Target host is not allowed.");
+  return connectUpstreamWebSocket(targetUrl, {
+    clientSocket,
+    protocols,
+    headers,
+    lookup: addressGuard.lookup,
+    handshakeTimeout: WS_RELAY_HANDSHAKE_TIMEOUT,
+    onUpgrade: (response) => {
+      const setCookies = response.headers["set-cookie"] || [];
+      if (deviceId && cookieJar.storeSetCookies(deviceId, targetUrl, setCookies)) {
+        scheduleCookieJarPersist();
+      }
+    },
+  }).catch((error) => {
+    if (isClientGoneError(error)) {
+      throw new ProxyError(499, error.message);
+    }
+    if (error.statusCode) {
+      throw new ProxyError(502, "Upstream refused the WebSocket upgrade.", error.message);
+    }
+    throw error;
+  });
+}
+
+function pipeWebSockets(client, upstream) {
+  metrics.websocketRelays += 1;
+  metrics.websocketRelaysActive += 1;
+  const forward = (target) => (data, isBinary) => {
+    if (target.readyState === WebSocket.OPEN) {
+      target.send(data, { binary: isBinary });
+    }
+  };
+  const propagateClose = (target) => (code, reason) => {
+    if (target.readyState === WebSocket.OPEN || target.readyState === WebSocket.CONNECTING) {
+      if (isSendableCloseCode(code)) {
+        target.close(code, reason);
+      } else {
+        target.close(code === 1005 ? undefined : 1011);
+      }
+    }
+  };
+  client.on("message", forward(upstream));
+  upstream.on("message", forward(client));
+  client.once("close", propagateClose(upstream));
+  upstream.once("close", propagateClose(client));
+  client.on("error", () => upstream.terminate());
+  upstream.on("error", () => client.terminate());
+  client.once("close", () => {
+    metrics.websocketRelaysActive = Math.max(0, metrics.websocketRelaysActive - 1);
+  });
+}
+
+function isSendableCloseCode(code) {
+  // 1004-1006 and 1015 are reserved for local use and may not appear on the wire.
+  return (code >= 1000 && code <= 1014 && ![1004, 1005, 1006].includes(code)) || (code >= 3000 && code <= 4999);
+}
+
+function rejectUpgrade(socket, error) {
+  if (socket.destroyed) {
+    return;
   }
+  const status = error instanceof ProxyError && STATUS_CODES[error.status] ? error.status : 502;
+  const payload = { error: error instanceof ProxyError ? error.message : "Failed to reach target WebSocket." };
+  const details = error instanceof ProxyError ? error.details : error?.message;
+  if (details) {
+    payload.details = details;
+  }
+  const body = JSON.stringify(payload);
+  socket.once("finish", () => socket.destroy());
+  socket.end(
+    `HTTP/1.1 ${status} ${STATUS_CODES[status]}\r\n` +
+      "Connection: close\r\n" +
+      "Content-Type: application/json\r\n" +
+      `Content-Length: ${Buffer.byteLength(body)}\r\n\r\n${body}`
+  );
+}
+
+wss.on("connection", (ws, request) => {
+  setupSafezoneConnection(ws, request);
+});
 
+async function executeProxyCall(params, context = {}) {
+  metrics.requests += 1;
+  const start = Date.now();
+  try {
+    return await handleProxyRequest(params, context);
+  } finally {
+    metrics.totalLatencyMs += Date.now() - start;
+  }
+}
+
+async function handleProxyRequest({ targetParam, renderHint, clientRequest }, context = {}) {
+  const targetUrl = resolveTargetUrl(targetParam);
   const method = (clientRequest.method || "GET").toUpperCase();
-  const wantsHeadless = ENABLE_HEADLESS && method === "GET" && renderHint === "headless";
-  if (wantsHeadless && metrics.headlessActive >= HEADLESS_MAX_CONCURRENCY) {
-    throw new ProxyError(429, "Headless renderer is busy. Try again shortly.");
+  const declaredBodyLength = Number(getHeaderFromBag(clientRequest.headers, "content-length") || 0);
+  if (declaredBodyLength > MAX_REQUEST_BODY_BYTES) {
+    throw createBodyTooLargeError();
   }
+  const wantsHeadless = ENABLE_HEADLESS && method === "GET" && renderHint === "headless";
 
-  const cacheKey =
-    ENABLE_CACHE && method === "GET" ? buildCacheKey(targetUrl, wantsHeadless ? "headless" : "direct") : null;
+  const renderMode = wantsHeadless ? "headless" : method === "GET" && renderHint === "lite" ? "lite" : "direct";
+
+  let cacheKey = ENABLE_CACHE && method === "GET" ? buildCacheKey(targetUrl, renderMode) : null;
   if (cacheKey && bannedCacheKeys.has(cacheKey)) {
     throw new ProxyError(451, "Cache access blocked by administrator.", "cache-banned");
   }
+  if (cacheKey && getHeaderFromBag(clientRequest.headers, "range")) {
+    // Partial responses are never served from or written to the cache.
+    cacheKey = null;
+  }
+  if (cacheKey && requestCarriesJarCookies(cookieJar, { deviceId: context.deviceId, targetUrl, renderMode })) {
+    // The caches serve every device; see relay/cacheScope.js.
+    cacheKey = null;
+  }
   if (cacheKey) {
-    const smartEntry = await smartCache.get(targetUrl.href);
-    if (smartEntry) {
+    // The smart cache holds upstream-shaped pages, never lite ones.
+    const smartEntry = renderMode === "lite" ? null : await smartCache.get(targetUrl.href);
+    if (smartEntry && canServeCachedEncoding(smartEntry.headers, clientRequest)) {
       metrics.cacheHits += 1;
       return respondWithContext(
         {
@@ -723,19 +1404,32 @@ async function handleProxyRequest({ targetParam, renderHint, clientRequest }, co
   }
 
   ensureDomainHealthy(targetUrl.hostname);
+  context.redirectChain = loadRedirectChain(context.redirectChainId);
+  const profiles = profileRegistry.match(targetUrl.hostname);
 
   if (wantsHeadless) {
     metrics.headlessRequests += 1;
     try {
-      const headlessResult = await renderWithHeadless(targetUrl);
-      const headers = normalizeHeaderList(headlessResult.headers);
-      headers.push(["x-renderer", "headless"]);
-      const rewritten = rewriteHtmlDocument(headlessResult.body, targetUrl, {
+      // The browser owns its sockets; the renderer vets each of its requests as well.
+      await addressGuard.assertAllowed(targetUrl.hostname);
+      const headlessResult = await runHeadlessJob("render", targetUrl, context);
+      // The snapshot is serialized DOM, so only caching and language headers still apply.
+      const headers = normalizeHeaderList(headlessResult.headers).filter(([key]) =>
+        HEADLESS_KEPT_HEADERS.has(key.toLowerCase())
+      );
+      headers.push(["content-type", "text/html; charset=utf-8"], ["x-renderer", "headless"]);
+      // Redirects happen inside the browser; URLs resolve against where it ended up.
+      const documentUrl = headlessResult.finalUrl || targetUrl;
+      const renderedHtml = profileRegistry.hasHtmlHooks(profiles)
+        ? await profileRegistry.runHtml(profiles, headlessResult.body, { url: documentUrl })
+        : headlessResult.body;
+      const rewritten = rewriteHtmlDocument(renderedHtml, documentUrl, {
         ...context,
         renderer: "headless",
       });
       const bodyBuffer = Buffer.from(rewritten);
-      if (cacheKey) {
+      // Cookies the page set went into this device's jar only.
+      if (cacheKey && !headlessResult.cookies?.length) {
         persistCacheEntry(cacheKey, {
           status: headlessResult.status,
           headers,
@@ -757,51 +1451,109 @@ async function handleProxyRequest({ targetParam, renderHint, clientRequest }, co
         { renderer: "headless", status: headlessResult.status }
       );
     } catch (error) {
-      recordDomainFailure(targetUrl.hostname);
-      throw error;
+      throw toHeadlessProxyError(error, targetUrl, context);
     }
   }
 
   const proxyHost = extractProxyHost(clientRequest.headers);
 
   try {
-    const upstream = await fetch(targetUrl.href, buildFetchOptions(clientRequest, targetUrl));
-    const headers = buildForwardHeaders(upstream.headers, proxyHost);
+    const upstream = await fetchUpstream(
+      targetUrl.href,
+      await buildFetchOptions(clientRequest, targetUrl, { ...context, profiles })
+    );
+    watchUpstreamBody(upstream, targetUrl.hostname);
+    if (cacheKey && responseSetsCookies(upstream.headers)) {
+      // The cookies go into this device's jar only; see relay/cacheScope.js.
+      cacheKey = null;
+    }
+    // The head injection carries this nonce wherever the rewritten CSP relies on nonces.
+    const cspNonce = randomBytes(16).toString("base64");
+    const headers = buildForwardHeaders(upstream.headers, proxyHost, {
+      targetUrl,
+      deviceId: context.deviceId,
+      cspNonce,
+    });
     const contentType = upstream.headers.get("content-type") || "";
-    const rewriteProfile = selectRewriteProfile(targetUrl.hostname);
+    await profileRegistry.runResponseHeaders(profiles, {
+      url: targetUrl,
+      status: upstream.status,
+      contentType,
+      headers,
+    });
+    const redirectTarget = rewriteLocationHeaders(headers, targetUrl, upstream.status, context);
 
-    if (contentType.includes("text/html")) {
-  const html = await upstream.text();
-  const htmlContext = { ...context, renderer: "direct" };
-  let rewritten = rewriteHtmlDocument(html, targetUrl, htmlContext);
-      if (rewriteProfile?.csp === "duckduckgo-hardened") {
-        rewritten = patchDuckduckgoPage(rewritten);
-      } else if (rewriteProfile?.csp === "google-compatible") {
-        rewritten = patchGooglePage(rewritten);
-      }
-      const bodyBuffer = Buffer.from(rewritten);
-      setHeaderValue(headers, "content-type", "text/html; charset=utf-8");
-      setHeaderValue(headers, "x-frame-options", "ALLOWALL");
-  setHeaderValue(headers, "x-renderer", "direct");
-      if (rewriteProfile?.csp) {
-        normalizeResponseSecurityHeaders(headers, rewriteProfile.csp);
+    if (redirectTarget) {
+      upstream.cancel();
+      if (isBlockedHost(redirectTarget.hostname)) {
+        throw new ProxyError(403, "Redirect target is not allowed.", redirectTarget.host);
       }
-      if (cacheKey) {
-        persistCacheEntry(cacheKey, {
+      setHeaderValue(headers, "x-renderer", "direct");
+      recordDomainSuccess(targetUrl.hostname);
+      return respondWithContext(
+        {
           status: upstream.status,
           headers,
-          body: bodyBuffer,
           renderer: "direct",
-          user: context.user,
+        },
+        targetUrl,
+        context,
+        { renderer: "direct", status: upstream.status }
+      );
+    }
+
+    if (contentType.includes("text/html")) {
+      const sniffed = await sniffStreamCharset(upstream.decodedStream(), { contentType });
+      context.charset = sniffed.charset;
+      if (renderMode === "lite") {
+        return await relayLiteDocument(upstream, sniffed, {
+          targetUrl,
+          headers,
+          cacheKey,
+          context,
+          profiles,
+          clientRequest,
+          cspNonce,
         });
-        smartCache.set(targetUrl.href, bodyBuffer, contentType, headers, upstream.status);
       }
+      const htmlContext = { ...context, renderer: "direct", cspNonce };
+      setHeaderValue(headers, "content-type", "text/html; charset=utf-8");
+      setHeaderValue(headers, "x-coffeeshop-charset", `${sniffed.charset} (${sniffed.source})`);
+      setHeaderValue(headers, "x-renderer", "direct");
+      stripContentCoding(headers);
+      // Profiles with an onHtml hook need the whole document, so those pages are buffered
+      // and re-parsed; every other page keeps streaming.
+      const useHtmlProfiles = profileRegistry.hasHtmlHooks(profiles);
+      const htmlSource = useHtmlProfiles
+        ? await applyHtmlProfiles(sniffed.stream, sniffed.charset, profiles, targetUrl)
+        : sniffed.stream;
+      const rewriteStream = createHtmlRewriteStream({
+        rewriter: createDocumentRewriter(targetUrl, htmlContext),
+        charset: useHtmlProfiles ? "utf-8" : sniffed.charset,
+        onEnd: cacheKey
+          ? (bodyBuffer) => {
+              persistCacheEntry(cacheKey, {
+                status: upstream.status,
+                headers,
+                body: bodyBuffer,
+                renderer: "direct",
+                user: context.user,
+              });
+              smartCache.set(targetUrl.href, bodyBuffer, contentType, headers, upstream.status);
+            }
+          : null,
+      });
+      pipeline(htmlSource, rewriteStream, (error) => {
+        if (error) {
+          console.error("[coffeeshop] html rewrite stream failed", error.message);
+        }
+      });
       recordDomainSuccess(targetUrl.hostname);
       return respondWithContext(
         {
           status: upstream.status,
           headers,
-          body: bodyBuffer,
+          stream: rewriteStream,
           renderer: "direct",
         },
         targetUrl,
@@ -810,28 +1562,69 @@ async function handleProxyRequest({ targetParam, renderHint, clientRequest }, co
       );
     }
 
-    if (contentType.includes("text/css")) {
-      const css = await upstream.text();
-      const rewritten = rewriteCssUrls(css, targetUrl);
-      const bodyBuffer = Buffer.from(rewritten);
-      setHeaderValue(headers, "content-type", contentType);
+    // A 206 body is a byte slice of the stylesheet or script: rewriting it would break
+    // the Content-Range it is reassembled by, so partial content passes through as-is.
+    if (contentType.includes("text/css") && upstream.status !== 206) {
+      return await relayRewrittenText(upstream, {
+        targetUrl,
+        headers,
+        contentType,
+        cacheKey,
+        context,
+        mimeType: "text/css",
+        transform: async (css) =>
+          rewriteCssUrls(await profileRegistry.runCss(profiles, css, { url: targetUrl }), targetUrl),
+      });
+    }
+
+    if (isJavaScriptContentType(contentType) && upstream.status !== 206) {
+      return await relayRewrittenText(upstream, {
+        targetUrl,
+        headers,
+        contentType,
+        cacheKey,
+        context,
+        mimeType: contentType.split(";")[0].trim(),
+        prescan: () => null,
+        transform: async (script) =>
+          jsModuleRewriter.rewrite(await profileRegistry.runJs(profiles, script, { url: targetUrl }), targetUrl),
+      });
+    }
+
+    if (upstream.body) {
+      // Compressed bodies only pass through untouched when the browser itself will decode
+      // them; safezone frames are rebuilt into Responses by the service worker, which never
+      // decompresses, so that transport always receives identity bytes. Partial content is
+      // relayed as-is because byte ranges address the encoded representation.
+      const passCompressed =
+        upstream.status === 206 ||
+        (clientRequest.transport !== "safezone" &&
+          clientAcceptsEncoding(clientRequest.headers?.["accept-encoding"], upstream.contentEncoding));
+      if (!passCompressed) {
+        stripContentCoding(headers);
+      }
       setHeaderValue(headers, "x-renderer", "direct");
-      if (cacheKey) {
-        persistCacheEntry(cacheKey, {
-          status: upstream.status,
-          headers,
-          body: bodyBuffer,
-          renderer: "direct",
-          user: context.user,
+      let stream = passCompressed ? upstream.body : upstream.decodedStream();
+      if (cacheKey && isCacheableAssetResponse(upstream.status, contentType, headers)) {
+        const capture = createCaptureStream({
+          maxBytes: CACHE_ASSET_MAX_BYTES,
+          onComplete: (bodyBuffer) => {
+            smartCache.set(targetUrl.href, bodyBuffer, contentType, headers, upstream.status);
+          },
         });
-        smartCache.set(targetUrl.href, bodyBuffer, contentType, headers, upstream.status);
+        pipeline(stream, capture, (error) => {
+          if (error) {
+            console.error("[coffeeshop] asset relay stream failed", error.message);
+          }
+        });
+        stream = capture;
       }
       recordDomainSuccess(targetUrl.hostname);
       return respondWithContext(
         {
           status: upstream.status,
           headers,
-          body: bodyBuffer,
+          stream,
           renderer: "direct",
         },
         targetUrl,
@@ -840,64 +1633,574 @@ async function handleProxyRequest({ targetParam, renderHint, clientRequest }, co
       );
     }
 
-    if (upstream.body) {
-      const cType = (contentType || "").toLowerCase();
-      const isCacheableAsset = cType.includes("image") || cType.includes("javascript") || cType.includes("font");
+    setHeaderValue(headers, "x-renderer", "direct");
+    recordDomainSuccess(targetUrl.hostname);
+    return respondWithContext(
+      {
+        status: upstream.status,
+        headers,
+        renderer: "direct",
+      },
+      targetUrl,
+      context,
+      { renderer: "direct", status: upstream.status }
+    );
+  } catch (error) {
+    if (isBlockedAddressError(error)) {
+      throw new ProxyError(403, "Target host is not allowed.", error.message);
+    }
+    if (isUpstreamQueueError(error)) {
+      // Local back-pressure, not a fault of the target, so domain health is left alone.
+      metrics.upstreamQueueRejections += 1;
+      throw new ProxyError(503, "Too many requests to this host right now.", error.message);
+    }
+    if (context.signal?.aborted) {
+      metrics.clientAborts += 1;
+      throw new ProxyError(499, "Client closed the request.", "aborted");
+    }
+    const timeoutPhase = upstreamTimeoutPhase(error);
+    if (timeoutPhase) {
+      // Body timeouts are recorded by watchUpstreamBody as the stream fails.
+      if (timeoutPhase !== "body") {
+        recordUpstreamTimeout(targetUrl.hostname);
+      }
+      throw new ProxyError(
+        504,
+        "Upstream timed out.",
+        `No ${timeoutPhase === "body" ? "body data" : timeoutPhase} within ${UPSTREAM_TIMEOUTS[timeoutPhase]}ms.`
+      );
+    }
+    if (!(error instanceof ProxyError)) {
+      recordDomainFailure(targetUrl.hostname);
+    }
+    throw error instanceof ProxyError ? error : new ProxyError(502, "Failed to reach target upstream.", error.message);
+  }
+}
 
-      if (isCacheableAsset && ENABLE_CACHE) {
-        const buffer = await upstream.arrayBuffer();
-        const bodyBuffer = Buffer.from(buffer);
+function resolveTargetUrl(targetParam) {
+  const urlParam = typeof targetParam === "string" ? targetParam : "";
+  if (!urlParam) {
+    throw new ProxyError(400, "Missing url query parameter.");
+  }
 
-        setHeaderValue(headers, "x-renderer", "direct");
+  let targetUrl;
+  try {
+    targetUrl = normalizeTargetUrl(urlParam);
+  } catch (error) {
+    throw new ProxyError(400, "Invalid URL provided.", error.message);
+  }
+
+  if (!["http:", "https:"].includes(targetUrl.protocol)) {
+    throw new ProxyError(400, "Only HTTP(S) targets are supported.");
+  }
+
+  if (isBlockedHost(targetUrl.hostname)) {
+    throw new ProxyError(403, "Target host is not allowed.");
+  }
+  return targetUrl;
+}
+
+// Runs `render` or `capture` through the headless pool with the device's cookies loaded;
+// whatever the page set or removed goes back into the jar. `options` are extra job fields.
+async function runHeadlessJob(kind, targetUrl, context = {}, options = {}) {
+  const result = await headlessPool.run(
+    (renderer) =>
+      renderer[kind]({
+        ...options,
+        url: targetUrl,
+        deviceKey: context.deviceId || "anonymous",
+        cookies: context.deviceId ? cookieJar.allCookies(context.deviceId) : [],
+        timeout: HEADLESS_TIMEOUT,
+        signal: context.signal,
+      }),
+    { signal: context.signal }
+  );
+  if (context.deviceId && result.cookies?.length) {
+    let stored = 0;
+    for (const { url, setCookie } of result.cookies) {
+      stored += cookieJar.storeSetCookies(context.deviceId, url, [setCookie]);
+    }
+    if (stored) {
+      scheduleCookieJarPersist();
+    }
+  }
+  return result;
+}
+
+function toHeadlessProxyError(error, targetUrl, context = {}) {
+  if (isBlockedAddressError(error)) {
+    return new ProxyError(403, "Target host is not allowed.", error.message);
+  }
+  if (isHeadlessQueueError(error)) {
+    return new ProxyError(
+      error.reason === "full" ? 429 : 503,
+      "Headless renderer is busy. Try again shortly.",
+      error.message
+    );
+  }
+  if (context.signal?.aborted) {
+    metrics.clientAborts += 1;
+    return new ProxyError(499, "Client closed the request.", "aborted");
+  }
+  if (error.code === "ERR_COFFEESHOP_HEADLESS_SELECTOR") {
+    // The page loaded fine; it just never showed what the caller waited for.
+    return new ProxyError(504, "The page never showed the element to wait for.", error.message);
+  }
+  metrics.headlessFailures += 1;
+  if (error.code === "ERR_COFFEESHOP_HEADLESS_UNAVAILABLE") {
+    return new ProxyError(503, "Headless rendering is unavailable.", error.message);
+  }
+  recordDomainFailure(targetUrl.hostname);
+  return error instanceof ProxyError ? error : new ProxyError(502, "Headless render failed.", error.message);
+}
+
+function createHeadlessBackend() {
+  if (HEADLESS_BACKEND === "fake") {
+    return new FakeRenderer();
+  }
+  return new PlaywrightRenderer({
+    userAgent: process.env.POWERTHROUGH_HEADLESS_UA || FALLBACK_USER_AGENT,
+    maxContexts: HEADLESS_MAX_CONTEXTS,
+    allowRequest: async (url) => {
+      if (!["http:", "https:", "ws:", "wss:"].includes(url.protocol)) {
+        return;
+      }
+      if (isBlockedHost(url.hostname)) {
+        throw new Error(`${url.hostname} is not allowed`);
+      }
+      await addressGuard.assertAllowed(url.hostname);
+    },
+  });
+}
+
+async function applyHtmlProfiles(stream, charset, profiles, targetUrl) {
+  const html = await profileRegistry.runHtml(profiles, decodeBody(await readStreamBuffer(stream), charset), {
+    url: targetUrl,
+  });
+  return Readable.from([Buffer.from(html)]);
+}
+
+async function readStreamBuffer(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// Lite pages are rebuilt from the whole document (stylesheets inlined, image sizes
+// probed) before anything is sent, so unlike direct pages they never stream.
+async function relayLiteDocument(
+  upstream,
+  sniffed,
+  { targetUrl, headers, cacheKey, context, profiles, clientRequest, cspNonce }
+) {
+  let html = decodeBody(await readStreamBuffer(sniffed.stream), sniffed.charset);
+  if (profileRegistry.hasHtmlHooks(profiles)) {
+    html = await profileRegistry.runHtml(profiles, html, { url: targetUrl });
+  }
+  const userAgent = getHeaderFromBag(clientRequest.headers, "user-agent");
+  const lite = await renderLiteDocument(html, {
+    baseUrl: targetUrl,
+    cssBudgetBytes: LITE_MODE.cssBudgetBytes,
+    maxImageBytes: LITE_MODE.imageMaxBytes,
+    loadStylesheet: (url) => fetchLiteStylesheet(url, userAgent, context),
+    probeImageBytes: (url) => probeLiteImageBytes(url, userAgent, context),
+  });
+  const body = Buffer.from(
+    rewriteHtmlDocument(lite.html, targetUrl, { ...context, renderer: "lite", renderMode: "lite", cspNonce })
+  );
+  // Every page script is gone, so the upstream policy is replaced by one that allows only
+  // the relay's own head script and still lets the inlined <style> blocks apply.
+  stripHeader(headers, "content-security-policy");
+  stripHeader(headers, "content-security-policy-report-only");
+  headers.push([
+    "content-security-policy",
+    `script-src 'nonce-${cspNonce}'; object-src 'none'; frame-src 'none'; base-uri 'none'`,
+  ]);
+  setHeaderValue(headers, "content-type", "text/html; charset=utf-8");
+  setHeaderValue(headers, "x-coffeeshop-charset", `${sniffed.charset} (${sniffed.source})`);
+  setHeaderValue(headers, "x-coffeeshop-lite", formatLiteStats(lite.stats));
+  setHeaderValue(headers, "x-renderer", "lite");
+  stripContentCoding(headers);
+  metrics.liteRenders += 1;
+  if (cacheKey) {
+    persistCacheEntry(cacheKey, {
+      status: upstream.status,
+      headers,
+      body,
+      renderer: "lite",
+      user: context.user,
+    });
+  }
+  recordDomainSuccess(targetUrl.hostname);
+  return respondWithContext(
+    {
+      status: upstream.status,
+      headers,
+      body,
+      renderer: "lite",
+    },
+    targetUrl,
+    context,
+    { renderer: "lite", status: upstream.status }
+  );
+}
+
+async function fetchLiteStylesheet(url, userAgent, context) {
+  const upstream = await fetchLiteSubresource(url, "GET", userAgent, context);
+  if (!upstream) {
+    return null;
+  }
+  const declaredLength = Number(upstream.headers.get("content-length") || 0);
+  if (upstream.status !== 200 || declaredLength > LITE_MODE.cssBudgetBytes) {
+    await discardUpstreamBody(upstream);
+    return null;
+  }
+  const contentType = upstream.headers.get("content-type") || "";
+  const rawBody = await readStreamBuffer(
+    limitBodyStream(upstream.decodedStream(), LITE_MODE.cssBudgetBytes, () => new Error("stylesheet over budget"))
+  );
+  return decodeBody(rawBody, resolveBodyCharset(rawBody, { contentType }).charset);
+}
+
+async function probeLiteImageBytes(url, userAgent, context) {
+  const upstream = await fetchLiteSubresource(url, "HEAD", userAgent, context);
+  if (!upstream) {
+    return null;
+  }
+  await discardUpstreamBody(upstream);
+  const length = Number(upstream.headers.get("content-length"));
+  return upstream.status === 200 && length > 0 ? length : null;
+}
+
+// Reads off (up to undici's dump limit) and drops a body nobody wants, so the connection
+// can go back to the pool; undici's dump never surfaces the stream's errors.
+async function discardUpstreamBody(upstream) {
+  await upstream.body?.dump?.();
+}
+
+// Side fetches for the lite renderer go through the same pool, address guard and cookie
+// jar as the page itself, but give up quickly: a slow stylesheet is simply not inlined.
+async function fetchLiteSubresource(url, method, userAgent, context) {
+  if (isBlockedHost(url.hostname)) {
+    return null;
+  }
+  const signal = context.signal
+    ? AbortSignal.any([context.signal, AbortSignal.timeout(LITE_MODE.fetchTimeout)])
+    : AbortSignal.timeout(LITE_MODE.fetchTimeout);
+  const clientRequest = { method, headers: userAgent ? { "user-agent": userAgent } : {} };
+  return fetchUpstream(
+    url.href,
+    await buildFetchOptions(clientRequest, url, { deviceId: context.deviceId, signal })
+  );
+}
+
+function formatLiteStats(stats) {
+  return Object.entries(stats)
+    .map(([name, value]) => `${name}=${value}`)
+    .join("; ");
+}
+
+function watchUpstreamBody(upstream, hostname) {
+  // Also covers bodies that stall after the response was already handed to the client.
+  upstream.body?.once("error", (error) => {
+    if (upstreamTimeoutPhase(error) === "body") {
+      recordUpstreamTimeout(hostname);
+    }
+  });
+}
+
+function recordUpstreamTimeout(hostname) {
+  metrics.upstreamTimeouts += 1;
+  recordDomainFailure(hostname, { timeout: true });
+}
+
+function normalizeCookieSite(value) {
+  if (!value) {
+    return null;
+  }
+  try {
+    // Accept either a bare host ("example.com") or a full URL.
+    return new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(value) ? value : `http://${value}`).hostname;
+  } catch {
+    return null;
+  }
+}
+
+function createBodyTooLargeError() {
+  return new ProxyError(413, "Request body too large.", `Limit is ${MAX_REQUEST_BODY_BYTES} bytes.`);
+}
+
+function isBlockedHost(hostname) {
+  return addressGuard.isBlockedHost(hostname);
+}
+
+async function relayRewrittenText(
+  upstream,
+  { targetUrl, headers, contentType, cacheKey, context, mimeType, prescan, transform }
+) {
+  const rawBody = await upstream.buffer();
+  const { charset, source: charsetSource } = resolveBodyCharset(rawBody, { contentType, prescan });
+  context.charset = charset;
+  const bodyBuffer = Buffer.from(await transform(decodeBody(rawBody, charset)));
+  integrityLedger.record(targetUrl.href, rawBody, bodyBuffer);
+  setHeaderValue(headers, "content-type", `${mimeType}; charset=utf-8`);
+  stripContentCoding(headers);
+  setHeaderValue(headers, "x-coffeeshop-charset", `${charset} (${charsetSource})`);
+  setHeaderValue(headers, "x-renderer", "direct");
+  if (cacheKey) {
+    persistCacheEntry(cacheKey, {
+      status: upstream.status,
+      headers,
+      body: bodyBuffer,
+      renderer: "direct",
+      user: context.user,
+    });
+    smartCache.set(targetUrl.href, bodyBuffer, contentType, headers, upstream.status);
+  }
+  recordDomainSuccess(targetUrl.hostname);
+  return respondWithContext(
+    {
+      status: upstream.status,
+      headers,
+      body: bodyBuffer,
+      renderer: "direct",
+    },
+    targetUrl,
+    context,
+    { renderer: "direct", status: upstream.status }
+  );
+}
+
+function sendProxyError(res, error) {
+  const isProxyError = error instanceof ProxyError;
+  if (!isProxyError || error.status >= 500) {
+    metrics.upstreamErrors += 1;
+    console.error("[coffeeshop] proxy error", error);
+  }
+  const status = isProxyError ? error.status : 502;
+  const payload = {
+    error: isProxyError ? error.message : "Failed to reach target upstream.",
+  };
+  const details = isProxyError ? error.details : error.message;
+  if (details) {
+    payload.details = details;
+  }
+  if (!res.headersSent) {
+    return res.status(status).json(payload);
+  }
+  return res.end();
+}
+
+async function runSearch(term, providerName, signal) {
+  metrics.searchQueries += 1;
+  const payload = await searchService.search(term, {
+    providers: providerName ? [providerName] : searchService.providerNames,
+    signal,
+  });
+  reportSearchFailures(payload.errors);
+  return payload;
+}
+
+async function runMetasearch(term, providerNames, signal) {
+  metrics.metasearchQueries += 1;
+  const payload = await searchService.metasearch(term, { providers: providerNames, signal, limit: SEARCH_META_LIMIT });
+  reportSearchFailures(payload.errors);
+  return payload;
+}
+
+function reportSearchFailures(errors) {
+  metrics.searchProviderFailures += errors.length;
+  for (const failure of errors) {
+    console.warn(`[coffeeshop] search provider ${failure.provider} failed (${failure.reason}): ${failure.message}`);
+  }
+}
+
+// Names of the providers that answered, for /search/api and /search/meta payloads alike.
+function listAnsweringProviders(payload) {
+  if (payload.providers) {
+    return payload.providers.filter((provider) => provider.ok).map((provider) => provider.name);
+  }
+  return payload.provider ? [payload.provider] : [];
+}
+
+// Fetches a search provider's page through the upstream pool, following a few redirects.
+async function fetchSearchPage({ url, method, headers, signal }) {
+  let current = url;
+  for (let hop = 0; hop <= 3; hop += 1) {
+    await addressGuard.assertAllowed(current.hostname);
+    const upstream = await fetchUpstream(
+      current.href,
+      await buildFetchOptions({ method, headers }, current, { signal })
+    );
+    const location = upstream.headers.get("location");
+    if (upstream.status >= 300 && upstream.status < 400 && location) {
+      await discardUpstreamBody(upstream);
+      current = new URL(location, current);
+      continue;
+    }
+    const body = await readStreamBuffer(
+      limitBodyStream(upstream.decodedStream(), SEARCH_PAGE_MAX_BYTES, () => new Error("Search page is too large"))
+    );
+    const { charset } = resolveBodyCharset(body, {
+      contentType: upstream.headers.get("content-type"),
+      prescan: prescanHtmlCharset,
+    });
+    return { status: upstream.status, url: current.href, headers: upstream.headers, text: decodeBody(body, charset) };
+  }
+  throw new Error("Too many redirects");
+}
+
+function buildSearchLiteDocument(payload, context = {}) {
+  const answered = listAnsweringProviders(payload);
+  const labelOf = (name) => searchService.providers.get(name)?.label ?? name;
+  const metaTags = [
+    ["coffeeshop-renderer", "search-lite"],
+    ["coffeeshop-request-id", context.requestId],
+    // Lets the workspace skip providers the relay already found failing.
+    ["coffeeshop-search-failed", payload.errors.map((failure) => failure.provider).filter(Boolean).join(",")],
+  ]
+    .filter(([, value]) => value)
+    .map(([name, value]) => `<meta name="${name}" content="${escapeHtmlAttribute(value)}">`)
+    .join("");
+  const results = payload.results
+    .map(
+      (result) => `<li class="result">
+<a href="${escapeHtmlAttribute(buildCoffeeShopUrl(result.url))}">${escapeHtmlAttribute(result.title)}</a>
+<cite>${escapeHtmlAttribute(result.url)}${
+        result.providers?.length > 1
+          ? ` <span class="result__sources">· ${escapeHtmlAttribute(result.providers.map(labelOf).join(", "))}</span>`
+          : ""
+      }</cite>
+${result.snippet ? `<p>${escapeHtmlAttribute(result.snippet)}</p>` : ""}
+</li>`
+    )
+    .join("\n");
+  let body;
+  if (!answered.length) {
+    // .msg-error is what the workspace looks for before moving on to its next provider.
+    body = '<div class="msg-error"><p>No search provider answered right now.</p></div>';
+  } else if (!results) {
+    body = `<p>No results for “${escapeHtmlAttribute(payload.query)}”.</p>`;
+  } else {
+    body = `<ol class="results">\n${results}\n</ol>`;
+  }
+  const notes = [
+    answered.length ? `Results from ${answered.map(labelOf).join(" and ")}.` : "",
+    ...payload.errors.map((failure) => `${failure.provider ?? "search"}: ${failure.message}.`),
+  ]
+    .filter(Boolean)
+    .map((note) => `<p class="search__meta">${escapeHtmlAttribute(note)}</p>`)
+    .join("\n");
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+${metaTags}
+<title>${escapeHtmlAttribute(payload.query)} · Search Lite</title>
+<style>${SEARCH_LITE_STYLES}</style>
+</head>
+<body>
+<main class="search">
+<form class="search__form" action="/search/lite" method="get">
+<input type="search" name="q" value="${escapeHtmlAttribute(payload.query)}" aria-label="Search">
+<button type="submit">Search</button>
+</form>
+${body}
+${notes}
+</main>
+</body>
+</html>`;
+}
 
-        // Save to SmartCache
-        smartCache.set(targetUrl.href, bodyBuffer, contentType, headers, upstream.status);
+function parseCaptureOptions(query = {}) {
+  const format = (getFirstQueryValue(query.format) || "png").toLowerCase();
+  if (!CAPTURE_FORMATS[format]) {
+    throw new ProxyError(
+      400,
+      "Unsupported capture format.",
+      `Use one of: ${Object.keys(CAPTURE_FORMATS).join(", ")}.`
+    );
+  }
+  const viewport = {};
+  for (const [name, [min, max, fallback]] of Object.entries(CAPTURE_VIEWPORT)) {
+    const raw = getFirstQueryValue(query[name]);
+    const value = raw === undefined || raw === "" ? fallback : Number(raw);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw new ProxyError(400, `Invalid capture ${name}.`, `Expected a whole number between ${min} and ${max}.`);
+    }
+    viewport[name] = value;
+  }
+  const fullPageParam = (getFirstQueryValue(query.fullPage) || "").toLowerCase();
+  const waitForSelector = (getFirstQueryValue(query.waitFor) || "").trim() || null;
+  if (waitForSelector && waitForSelector.length > CAPTURE_SELECTOR_MAX_LENGTH) {
+    throw new ProxyError(
+      400,
+      "Selector to wait for is too long.",
+      `At most ${CAPTURE_SELECTOR_MAX_LENGTH} characters.`
+    );
+  }
+  return {
+    format,
+    viewport,
+    fullPage: ["1", "true", "yes", "on"].includes(fullPageParam),
+    waitForSelector,
+  };
+}
 
-        recordDomainSuccess(targetUrl.hostname);
-        return respondWithContext(
-          {
-            status: upstream.status,
-            headers,
-            body: bodyBuffer,
-            renderer: "direct",
-          },
-          targetUrl,
-          context,
-          { renderer: "direct", status: upstream.status }
-        );
-      }
+function buildCaptureFilename(url, format) {
+  const host = url.hostname.replace(/[^a-z0-9.-]/gi, "_") || "page";
+  const stamp = new Date().toISOString().replace(/\.\d+Z$/, "Z").replace(/[:]/g, "-");
+  return `${host}-${stamp}.${format}`;
+}
 
-      setHeaderValue(headers, "x-renderer", "direct");
-      recordDomainSuccess(targetUrl.hostname);
-      return respondWithContext(
-        {
-          status: upstream.status,
-          headers,
-          stream: Readable.fromWeb(upstream.body),
-          renderer: "direct",
-        },
-        targetUrl,
-        context,
-        { renderer: "direct", status: upstream.status }
-      );
+// The reader fetches pages on the browser's behalf but always wants plain, whole HTML.
+function buildReaderRequestHeaders(incomingHeaders = {}) {
+  const headers = { accept: "text/html,application/xhtml+xml", "accept-encoding": "identity" };
+  for (const name of ["user-agent", "accept-language", "cookie"]) {
+    if (incomingHeaders[name]) {
+      headers[name] = incomingHeaders[name];
     }
-
-    setHeaderValue(headers, "x-renderer", "direct");
-    recordDomainSuccess(targetUrl.hostname);
-    return respondWithContext(
-      {
-        status: upstream.status,
-        headers,
-        renderer: "direct",
-      },
-      targetUrl,
-      context,
-      { renderer: "direct", status: upstream.status }
-    );
-  } catch (error) {
-    recordDomainFailure(targetUrl.hostname);
-    throw error instanceof ProxyError ? error : new ProxyError(502, "Failed to reach target upstream.", error.message);
   }
+  return headers;
+}
+
+function buildReaderDocument(article, targetUrl, context = {}) {
+  const metaTags = [
+    ["coffeeshop-target", targetUrl.href],
+    ["coffeeshop-renderer", "reader"],
+    ["coffeeshop-request-id", context.requestId],
+  ]
+    .filter(([, value]) => value)
+    .map(([name, value]) => `<meta name="${name}" content="${escapeHtmlAttribute(value)}">`)
+    .join("");
+  const details = [article.byline, article.publishedTime?.slice(0, 10)].filter(Boolean).join(" · ");
+  const body = article.length
+    ? article.contentHtml
+    : "<p>No article text could be found on this page.</p>";
+  return `<!doctype html>
+<html lang="${escapeHtmlAttribute(article.lang || "en")}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+${metaTags}
+<title>${escapeHtmlAttribute(article.title || targetUrl.hostname)}</title>
+<style>${READER_STYLES}</style>
+</head>
+<body>
+<main class="reader">
+<header class="reader__header">
+<p class="reader__site">${escapeHtmlAttribute(article.siteName || targetUrl.hostname)}</p>
+<h1>${escapeHtmlAttribute(article.title || targetUrl.href)}</h1>
+${details ? `<p class="reader__byline">${escapeHtmlAttribute(details)}</p>` : ""}
+<p><a class="reader__original" href="${escapeHtmlAttribute(buildCoffeeShopUrl(targetUrl.href))}">View original page</a></p>
+</header>
+<article class="reader__content">${body}</article>
+</main>
+</body>
+</html>`;
 }
 
 function applyProxyResult(res, result) {
@@ -914,6 +2217,7 @@ function applyProxyResult(res, result) {
     return res.send(result.body);
   }
   if (result.stream) {
+    result.stream.once("error", () => res.destroy());
     return result.stream.pipe(res);
   }
   return res.end();
@@ -923,7 +2227,10 @@ function extractRenderHint(req) {
   const queryValue = Array.isArray(req.query.render) ? req.query.render[0] : req.query.render;
   const headerValueRaw = req.headers["x-coffeeshop-render"];
   const headerValue = Array.isArray(headerValueRaw) ? headerValueRaw[0] : headerValueRaw;
-  return queryValue || headerValue || undefined;
+  // Workspace links carry the relay personality as `mode`; an explicit render wins.
+  const modeValue = Array.isArray(req.query.mode) ? req.query.mode[0] : req.query.mode;
+  const modeHint = ["lite", "headless"].includes(modeValue) ? modeValue : undefined;
+  return queryValue || headerValue || modeHint || undefined;
 }
 
 function setupSafezoneConnection(ws, request) {
@@ -942,6 +2249,7 @@ function setupSafezoneConnection(ws, request) {
 
   ws.on("close", () => {
     for (const channel of channels.values()) {
+      channel.abortController?.abort();
       channel.stream?.destroy();
     }
     channels.clear();
@@ -1028,6 +2336,9 @@ async function processSafezoneOpen(ws, channels, channelId, frame) {
     const materialized = buildBodyStreamFromMessage(normalizedMethod, body, bodyEncoding);
     bodyStream = materialized.stream;
     bodyLength = materialized.length;
+    if (bodyLength > MAX_REQUEST_BODY_BYTES) {
+      throw createBodyTooLargeError();
+    }
   } catch (error) {
     const message = error instanceof ProxyError ? error.message : "Invalid request body.";
     sendSafezoneFrame(ws, {
@@ -1042,13 +2353,22 @@ async function processSafezoneOpen(ws, channels, channelId, frame) {
     return;
   }
 
-  if (bodyStream && !hasHeader(normalizedHeaders, "content-length")) {
+  if (bodyStream) {
+    // The materialized body is authoritative; a stale client-supplied length would make
+    // the upstream (and undici) reject the request.
+    for (const key of Object.keys(normalizedHeaders)) {
+      if (key.toLowerCase() === "content-length") delete normalizedHeaders[key];
+    }
     normalizedHeaders["content-length"] = String(bodyLength);
   }
 
+  // Registered before the upstream call so a CANCEL can abort it while it is in flight.
+  const abortController = new AbortController();
+  channels.set(channelId, { abortController, stream: null });
   const requestContext = {
     requestId: createRequestId("safezone"),
     deviceId: ws.coffeeDeviceId || null,
+    signal: abortController.signal,
   };
 
   try {
@@ -1060,6 +2380,7 @@ async function processSafezoneOpen(ws, channels, channelId, frame) {
           method: normalizedMethod,
           headers: normalizedHeaders,
           bodyStream,
+          transport: "safezone",
         },
       },
       requestContext
@@ -1078,18 +2399,29 @@ async function processSafezoneOpen(ws, channels, channelId, frame) {
     });
 
     if (result.body) {
+      channels.delete(channelId);
       sendSafezoneDataFrame(ws, channelId, result.body, true);
       return;
     }
 
     if (result.stream) {
+      if (!channels.has(channelId)) {
+        // Cancelled while the response headers were on their way.
+        result.stream.destroy();
+        return;
+      }
       metrics.safezoneActiveChannels += 1;
       streamProxyBody(ws, channelId, result.stream, channels);
       return;
     }
 
+    channels.delete(channelId);
     sendSafezoneFrame(ws, { ch: channelId, op: SAFEZONE_OP.END });
   } catch (error) {
+    channels.delete(channelId);
+    if (abortController.signal.aborted) {
+      return;
+    }
     metrics.safezoneErrors += 1;
     const isProxyError = error instanceof ProxyError;
     if (!isProxyError || error.status >= 500) {
@@ -1113,13 +2445,15 @@ function closeSafezoneChannel(channels, channelId, reason) {
   const channel = channels.get(channelId);
   if (!channel) return;
   channels.delete(channelId);
+  channel.abortController?.abort();
+  if (!channel.stream) {
+    return;
+  }
   metrics.safezoneActiveChannels = Math.max(0, metrics.safezoneActiveChannels - 1);
-  if (channel.stream) {
-    try {
-      channel.stream.destroy(new Error(reason || "Channel closed."));
-    } catch {
-      // ignore
-    }
+  try {
+    channel.stream.destroy(new Error(reason || "Channel closed."));
+  } catch {
+    // ignore
   }
 }
 
@@ -1150,7 +2484,7 @@ function sendSafezoneDataFrame(ws, channelId, chunk, final = false) {
 }
 
 function streamProxyBody(ws, channelId, stream, channels) {
-  channels.set(channelId, { stream });
+  channels.set(channelId, { ...channels.get(channelId), stream });
   stream.on("data", (chunk) => {
     sendSafezoneDataFrame(ws, channelId, Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk), false);
   });
@@ -1160,8 +2494,17 @@ function streamProxyBody(ws, channelId, stream, channels) {
     sendSafezoneFrame(ws, { ch: channelId, op: SAFEZONE_OP.END });
   });
   stream.once("error", (error) => {
+    const channel = channels.get(channelId);
+    if (channel?.stream !== stream) {
+      // closeSafezoneChannel already tore it down (client cancel or socket close).
+      return;
+    }
     channels.delete(channelId);
     metrics.safezoneActiveChannels = Math.max(0, metrics.safezoneActiveChannels - 1);
+    // Same teardown as a cancel: release the upstream request and its pooled connection
+    // now instead of at bodyTimeout.
+    channel.abortController?.abort();
+    stream.destroy();
     sendSafezoneFrame(ws, {
       ch: channelId,
       op: SAFEZONE_OP.ERROR,
@@ -1190,9 +2533,14 @@ function sanitizeHeaderBag(headers) {
   return sanitized;
 }
 
-function hasHeader(headers, target) {
+function getHeaderFromBag(headers = {}, target) {
   const targetLower = target.toLowerCase();
-  return Object.keys(headers).some((key) => key.toLowerCase() === targetLower);
+  for (const [key, value] of Object.entries(headers || {})) {
+    if (key.toLowerCase() === targetLower) {
+      return Array.isArray(value) ? value[0] : value;
+    }
+  }
+  return undefined;
 }
 
 function buildBodyStreamFromMessage(method, bodyPayload, bodyEncoding) {
@@ -1238,6 +2586,14 @@ app.get("/metrics", (req, res) => {
     cacheHitRate,
     avgLatencyMs: Math.round(avgLatency),
     domainHealth: summarizeDomainHealth(),
+    jsTransform: { ...jsModuleRewriter.stats, cachedSites: jsModuleRewriter.sites.size },
+    addressGuard: addressGuard.stats,
+    cookieJar: { devices: cookieJar.devices.size, cookies: cookieJar.size },
+    upstreamPool: upstreamPool.stats(),
+    headless: headlessPool.stats(),
+    search: searchService.stats(),
+    headerPolicy: headerPolicy.stats(),
+    integrity: { ...integrityLedger.stats, tracked: integrityLedger.entries.size },
   });
 });
 
@@ -1254,7 +2610,7 @@ app.get("/status", (req, res) => {
     safezone: {
       requests: metrics.safezoneRequests,
       errors: metrics.safezoneErrors,
-      headlessActive: metrics.headlessActive,
+      headlessActive: headlessPool.active,
     },
     domainHealth: summarizeDomainHealth(),
   });
@@ -1266,6 +2622,15 @@ if (ADMIN_TOKEN) {
     cacheStore.clear();
     res.json({ status: "purged", removed });
   });
+
+  app.post("/dev/header-policy/reload", requireAdminToken, (_req, res) => {
+    try {
+      res.json({ status: "reloaded", rules: loadHeaderPolicy() });
+    } catch (error) {
+      // The previous rules stay active when the new file does not compile.
+      res.status(400).json({ error: "Header policy rejected.", details: error.message });
+    }
+  });
 }
 
 app.use(express.static(PUBLIC_DIR, { extensions: ["html"] }));
@@ -1334,23 +2699,30 @@ function ensureDomainHealthy(hostname) {
   }
 }
 
-function recordDomainFailure(hostname) {
+// Timeouts are tallied apart from hard failures (refused connections, TLS errors, ...);
+// either tally reaching the threshold cools the domain off.
+function recordDomainFailure(hostname, { timeout = false } = {}) {
   if (!hostname || DOMAIN_FAILURE_THRESHOLD <= 0) {
     return;
   }
   const key = hostname.toLowerCase();
   const now = Date.now();
-  const entry = domainHealth.get(key) || { failures: 0, lastFailureAt: 0, blockedUntil: 0 };
+  const entry = domainHealth.get(key) || { failures: 0, timeouts: 0, lastFailureAt: 0, blockedUntil: 0 };
   if (entry.blockedUntil && entry.blockedUntil > now) {
     domainHealth.set(key, entry);
     return;
   }
   if (now - entry.lastFailureAt > DOMAIN_FAILURE_WINDOW) {
     entry.failures = 0;
+    entry.timeouts = 0;
+  }
+  if (timeout) {
+    entry.timeouts = (entry.timeouts || 0) + 1;
+  } else {
+    entry.failures += 1;
   }
-  entry.failures += 1;
   entry.lastFailureAt = now;
-  if (entry.failures >= DOMAIN_FAILURE_THRESHOLD) {
+  if (entry.failures >= DOMAIN_FAILURE_THRESHOLD || entry.timeouts >= DOMAIN_FAILURE_THRESHOLD) {
     entry.blockedUntil = now + DOMAIN_FAILURE_COOLDOWN;
   }
   domainHealth.set(key, entry);
@@ -1368,6 +2740,7 @@ function summarizeDomainHealth() {
   return Array.from(domainHealth.entries()).map(([host, info]) => ({
     host,
     failures: info.failures,
+    timeouts: info.timeouts || 0,
     coolingOff: Boolean(info.blockedUntil && info.blockedUntil > now),
     blockedUntil: info.blockedUntil && info.blockedUntil > now ? info.blockedUntil : null,
   }));
@@ -1409,9 +2782,10 @@ function findHeaderValue(headers = [], target) {
   return null;
 }
 
-function buildFetchOptions(clientRequest, targetUrl) {
+async function buildFetchOptions(clientRequest, targetUrl, context = {}) {
   const incomingHeaders = clientRequest.headers || {};
   const headers = {};
+  const useCookieJar = Boolean(context.deviceId);
 
   for (const [key, value] of Object.entries(incomingHeaders)) {
     if (!value) continue;
@@ -1419,66 +2793,110 @@ function buildFetchOptions(clientRequest, targetUrl) {
     if (hopByHopHeaders.has(lower) || lower === "host") {
       continue;
     }
+    if (lower === "cookie" && useCookieJar) {
+      // The browser's cookies belong to the relay origin, not to the target site.
+      continue;
+    }
     headers[key] = value;
   }
 
-  headers["accept-encoding"] = "identity";
-  headers.host = targetUrl.host;
-  headers.origin = targetUrl.origin;
-  headers.referer = targetUrl.href;
+  if (useCookieJar) {
+    const cookieHeader = cookieJar.getCookieHeader(context.deviceId, targetUrl);
+    if (cookieHeader) {
+      headers.cookie = cookieHeader;
+    }
+  }
+
   if (!headers["user-agent"]) {
-    headers["user-agent"] =
-      process.env.POWERTHROUGH_FALLBACK_UA ||
-      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0 Safari/537.36";
+    headers["user-agent"] = FALLBACK_USER_AGENT;
   }
 
+  const headerList = Object.entries(headers);
+  headerPolicy.apply("request", headerList, { url: targetUrl, contentType: headers["content-type"] });
   const method = (clientRequest.method || "GET").toUpperCase();
+  if (context.profiles?.length) {
+    await profileRegistry.runRequest(context.profiles, { url: targetUrl, method, headers: headerList });
+  }
+  const upstreamHeaders = headerListToObject(headerList);
+  upstreamHeaders["accept-encoding"] = UPSTREAM_ACCEPT_ENCODING;
+  upstreamHeaders.host = targetUrl.host;
+
   const options = {
     method,
-    headers,
-    redirect: "manual",
+    headers: upstreamHeaders,
+    dispatcher: upstreamPool,
+    signal: context.signal,
   };
 
   if (!["GET", "HEAD"].includes(method) && clientRequest.bodyStream) {
-    options.body = clientRequest.bodyStream;
-    options.duplex = "half";
+    // Content-Type (with its multipart boundary) and Content-Length were copied above;
+    // the body itself streams through untouched apart from the size limit.
+    options.body = limitBodyStream(clientRequest.bodyStream, MAX_REQUEST_BODY_BYTES, createBodyTooLargeError);
   }
 
   return options;
 }
 
+function headerListToObject(headerList) {
+  const headers = {};
+  for (const [key, value] of headerList) {
+    const lower = key.toLowerCase();
+    headers[lower] = lower in headers ? `${headers[lower]}, ${value}` : value;
+  }
+  return headers;
+}
+
 function extractProxyHost(headers = {}) {
   const rawHost = headers.host || headers.Host || "";
   if (!rawHost) return "";
   return rawHost.split(":")[0].toLowerCase();
 }
 
-function buildForwardHeaders(upstreamHeaders, proxyHost = "") {
+function buildForwardHeaders(upstreamHeaders, proxyHost = "", { targetUrl, deviceId, cspNonce } = {}) {
   const forwarded = [];
   upstreamHeaders.forEach((value, key) => {
     const lower = key.toLowerCase();
-    if (
-      hopByHopHeaders.has(lower) ||
-      lower === "access-control-allow-origin" ||
-      lower === "access-control-allow-credentials"
-    ) {
-      return;
-    }
-    if (lower === "x-frame-options" || lower === "content-security-policy") {
-      return;
-    }
-    if (lower === "set-cookie") {
+    if (hopByHopHeaders.has(lower) || lower === "set-cookie") {
       return;
     }
     forwarded.push([key, value]);
   });
+  const contentType = upstreamHeaders.get("content-type") || "";
+  if (targetUrl) {
+    headerPolicy.apply("response", forwarded, { url: targetUrl, contentType });
+  }
+  rewriteSecurityPolicyHeaders(forwarded, contentType.includes("text/html") ? cspNonce : null);
   const setCookies = upstreamHeaders.getSetCookie?.() ?? [];
+  if (deviceId && targetUrl) {
+    // Upstream cookies live in the device's server-side jar instead of the browser.
+    if (cookieJar.storeSetCookies(deviceId, targetUrl, setCookies)) {
+      scheduleCookieJarPersist();
+    }
+    return forwarded;
+  }
   for (const cookie of setCookies) {
     forwarded.push(["set-cookie", rewriteSetCookie(cookie, proxyHost)]);
   }
   return forwarded;
 }
 
+function rewriteSecurityPolicyHeaders(headers, nonce) {
+  for (let i = headers.length - 1; i >= 0; i -= 1) {
+    const lower = headers[i][0].toLowerCase();
+    if (lower === "x-content-security-policy" || lower === "x-webkit-csp") {
+      // Pre-standard variants cannot express nonces; the standard header covers them.
+      headers.splice(i, 1);
+    } else if (lower === "content-security-policy" || lower === "content-security-policy-report-only") {
+      const rewritten = rewriteContentSecurityPolicy(headers[i][1], { nonce });
+      if (rewritten) {
+        headers[i][1] = rewritten;
+      } else {
+        headers.splice(i, 1);
+      }
+    }
+  }
+}
+
 function rewriteSetCookie(value, proxyHost = "") {
   if (!value || !proxyHost) {
     return value;
@@ -1504,6 +2922,109 @@ function rewriteSetCookie(value, proxyHost = "") {
   return rewritten.join("; ");
 }
 
+function rewriteLocationHeaders(headers, targetUrl, status, context = {}) {
+  let redirectTarget = null;
+  for (const entry of headers) {
+    const lower = entry[0].toLowerCase();
+    if (lower === "location" && isRedirectStatus(status)) {
+      const resolved = resolveUpstreamUrl(entry[1], targetUrl);
+      if (!resolved) continue;
+      const chainId = recordRedirectHop(context, { status, from: targetUrl.href, to: resolved.href });
+      entry[1] = appendProxyParam(buildCoffeeShopUrl(resolved.toString()), "redirect", chainId);
+      redirectTarget = resolved;
+    } else if (lower === "location" || lower === "content-location") {
+      const resolved = resolveUpstreamUrl(entry[1], targetUrl);
+      if (resolved) {
+        entry[1] = buildCoffeeShopUrl(resolved.toString());
+      }
+    } else if (lower === "refresh") {
+      entry[1] = rewriteRefreshValue(entry[1], targetUrl);
+    }
+  }
+  return redirectTarget;
+}
+
+function rewriteRefreshValue(value, baseUrl) {
+  // Refresh: <delay>; url=<target>, with optional quoting around the target.
+  const match = /^(\s*[\d.]+\s*[;,]\s*url\s*=\s*)(['"]?)([^'"]*)\2\s*$/i.exec(value || "");
+  if (!match) {
+    return value;
+  }
+  const resolved = resolveUpstreamUrl(match[3], baseUrl);
+  if (!resolved) {
+    return value;
+  }
+  return `${match[1]}${match[2]}${buildCoffeeShopUrl(resolved.toString())}${match[2]}`;
+}
+
+function resolveUpstreamUrl(value, baseUrl) {
+  if (!value || value.startsWith("/powerthrough")) {
+    return null;
+  }
+  try {
+    const resolved = new URL(value.trim(), baseUrl);
+    return ["http:", "https:"].includes(resolved.protocol) ? resolved : null;
+  } catch {
+    return null;
+  }
+}
+
+function isRedirectStatus(status) {
+  return [301, 302, 303, 307, 308].includes(status);
+}
+
+function appendProxyParam(proxyUrl, key, value) {
+  if (!value) {
+    return proxyUrl;
+  }
+  const separator = proxyUrl.includes("?") ? "&" : "?";
+  return `${proxyUrl}${separator}${encodeURIComponent(key)}=${encodeURIComponent(value)}`;
+}
+
+function sanitizeRedirectChainId(value) {
+  if (typeof value !== "string") {
+    return null;
+  }
+  return /^redirect-[a-z0-9-]{8,64}$/i.test(value) ? value : null;
+}
+
+function loadRedirectChain(chainId) {
+  pruneRedirectChains();
+  const entry = chainId ? redirectChains.get(chainId) : null;
+  return {
+    id: entry ? chainId : null,
+    hops: entry ? entry.hops.slice() : [],
+  };
+}
+
+function recordRedirectHop(context, hop) {
+  const chain = context.redirectChain || { id: null, hops: [] };
+  chain.id = chain.id || createRequestId("redirect");
+  chain.hops.push({ ...hop, requestId: context.requestId || null, timestamp: Date.now() });
+  if (chain.hops.length > REDIRECT_CHAIN_MAX_HOPS) {
+    chain.hops.splice(0, chain.hops.length - REDIRECT_CHAIN_MAX_HOPS);
+  }
+  context.redirectChain = chain;
+  redirectChains.set(chain.id, { hops: chain.hops.slice(), updatedAt: Date.now() });
+  return chain.id;
+}
+
+function pruneRedirectChains() {
+  const cutoff = Date.now() - REDIRECT_CHAIN_TTL;
+  for (const [chainId, entry] of redirectChains.entries()) {
+    if (entry.updatedAt < cutoff) {
+      redirectChains.delete(chainId);
+    }
+  }
+}
+
+function serializeRedirectChain(chain) {
+  if (!chain?.hops?.length) {
+    return "";
+  }
+  return JSON.stringify(chain.hops.map(({ status, from, to }) => ({ status, from, to })));
+}
+
 function applyHeaderList(res, headers = []) {
   for (const [key, value] of headers) {
     if (key.toLowerCase() === "set-cookie") {
@@ -1514,6 +3035,58 @@ function applyHeaderList(res, headers = []) {
   }
 }
 
+function isCacheableAssetResponse(status, contentType, headers) {
+  if (!ENABLE_CACHE || status !== 200 || findHeaderValue(headers, "content-range")) {
+    return false;
+  }
+  const declaredLength = Number(findHeaderValue(headers, "content-length"));
+  if (Number.isFinite(declaredLength) && declaredLength > CACHE_ASSET_MAX_BYTES) {
+    return false;
+  }
+  const cType = (contentType || "").toLowerCase();
+  return cType.includes("image") || cType.includes("javascript") || cType.includes("font");
+}
+
+function canServeCachedEncoding(headers, clientRequest) {
+  const codings = parseContentEncoding(findHeaderValue(headers, "content-encoding"));
+  if (!codings.length) {
+    return true;
+  }
+  if (clientRequest.transport === "safezone") {
+    return false;
+  }
+  return clientAcceptsEncoding(getHeaderFromBag(clientRequest.headers, "accept-encoding"), codings);
+}
+
+function createCaptureStream({ maxBytes, onComplete }) {
+  let chunks = [];
+  let size = 0;
+  return new Transform({
+    transform(chunk, _encoding, callback) {
+      if (chunks) {
+        size += chunk.length;
+        if (size > maxBytes) {
+          chunks = null;
+        } else {
+          chunks.push(chunk);
+        }
+      }
+      callback(null, chunk);
+    },
+    flush(callback) {
+      if (chunks) {
+        onComplete(Buffer.concat(chunks));
+      }
+      callback();
+    },
+  });
+}
+
+function stripContentCoding(headers) {
+  stripHeader(headers, "content-encoding");
+  stripHeader(headers, "content-length");
+}
+
 function setHeaderValue(headers, key, value) {
   const lower = key.toLowerCase();
   for (let i = headers.length - 1; i >= 0; i -= 1) {
@@ -1558,27 +3131,6 @@ function buildCacheKey(targetUrl, variant = "direct") {
   return `${variant}:${targetUrl.toString()}`;
 }
 
-function selectRewriteProfile(hostname) {
-  if (!hostname) return null;
-  return upstreamRewriteRules.find((rule) => rule.test.test(hostname)) || null;
-}
-
-function normalizeResponseSecurityHeaders(headers, profile) {
-  if (!profile) return;
-  stripHeader(headers, "content-security-policy");
-  stripHeader(headers, "content-security-policy-report-only");
-  stripHeader(headers, "x-content-security-policy");
-  stripHeader(headers, "x-frame-options");
-
-  if (profile === "duckduckgo-hardened") {
-    setHeaderValue(headers, "content-security-policy", "default-src * data: blob:; script-src * 'unsafe-inline' 'unsafe-eval'; style-src * 'unsafe-inline'");
-  } else if (profile === "google-compatible") {
-    setHeaderValue(headers, "content-security-policy", "default-src * blob: data:; script-src * 'unsafe-inline' 'unsafe-eval'; style-src * 'unsafe-inline'");
-  } else if (profile === "bing-compatible") {
-    setHeaderValue(headers, "content-security-policy", "default-src * data: blob:; script-src * 'unsafe-inline' 'unsafe-eval'; style-src * 'unsafe-inline'");
-  }
-}
-
 function stripHeader(headers, target) {
   const lowerTarget = target.toLowerCase();
   for (let i = headers.length - 1; i >= 0; i -= 1) {
@@ -1589,105 +3141,200 @@ function stripHeader(headers, target) {
 }
 
 function rewriteHtmlDocument(html, baseUrl, context = {}) {
-  const $ = load(html, { decodeEntities: false });
-  if ($("head").length === 0) {
-    $("html").prepend("<head></head>");
-  }
-  const head = $("head").first();
-  
-  // Inject Interceptor Script
-  head.prepend('<script src="/interceptor.js"></script>');
+  const rewriter = createDocumentRewriter(baseUrl, context);
+  return rewriter.write(html) + rewriter.end();
+}
 
-  const headMeta = [
-    ["coffeeshop-request-id", context.requestId],
-    ["coffeeshop-renderer", context.renderer || "direct"],
-    ["coffeeshop-target", baseUrl?.toString?.() ?? ""],
-  ];
-  headMeta.forEach(([name, value]) => {
-    if (!value) return;
-    const existing = head.find(`meta[name='${name}']`).first();
-    if (existing.length) {
-      existing.attr("content", value);
-    } else {
-      head.prepend(`<meta name="${name}" content="${value}">`);
-    }
+function createDocumentRewriter(baseUrl, context = {}) {
+  // Everything after the first <base href> resolves against it, so the base is tracked
+  // per document while the stream is rewritten.
+  const documentBase = { url: baseUrl, locked: false };
+  const integrityDecisions = [];
+  return new StreamingHtmlRewriter({
+    headHtml: buildHeadInjection(baseUrl, context),
+    footerHtml: () => buildIntegrityDiagnostics(integrityDecisions),
+    rewriteTag: (tagName, attribs) => {
+      if (tagName === "base") {
+        return rewriteBaseElement(attribs, documentBase);
+      }
+      // Integrity is settled first, while the subresource URL is still the upstream one.
+      const integrityChanged = settleIntegrity(tagName, attribs, documentBase.url, integrityDecisions);
+      const changed = rewriteTagAttributes(tagName, attribs, documentBase.url, baseUrl) || integrityChanged;
+      return context.renderMode === "lite" ? keepLiteNavigation(tagName, attribs) || changed : changed;
+    },
+    rewriteText: (tagName, attribs) => {
+      if (tagName === "style") {
+        return (css) => rewriteCssUrls(css, documentBase.url);
+      }
+      // Classic scripts too: they can call import() and assign location.href.
+      if (tagName === "script" && !attribs.src && isInlineScriptType(attribs.type)) {
+        const moduleBase = documentBase.url;
+        return (script) => jsModuleRewriter.rewrite(script, moduleBase);
+      }
+      return null;
+    },
   });
+}
 
-  const attributesToRewrite = [
-    ["a", "href"],
-    ["link", "href"],
-    ["img", "src"],
-    ["script", "src"],
-    ["iframe", "src"],
-    ["source", "src"],
-    ["video", "src"],
-    ["audio", "src"],
-    ["track", "src"],
-    ["form", "action"],
-  ];
+function isInlineScriptType(type = "") {
+  const value = type.trim();
+  return !value || /^module$/i.test(value) || isJavaScriptContentType(value);
+}
+
+// Links and forms on a lite page lead to lite pages.
+function keepLiteNavigation(tagName, attribs) {
+  const attribute = tagName === "form" ? "action" : tagName === "a" || tagName === "area" ? "href" : null;
+  const value = attribute ? attribs[attribute] : null;
+  if (!value || !value.startsWith("/powerthrough?") || /[?&]render=/.test(value)) {
+    return false;
+  }
+  const hashIndex = value.indexOf("#");
+  attribs[attribute] =
+    hashIndex === -1
+      ? `${value}&render=lite`
+      : `${value.slice(0, hashIndex)}&render=lite${value.slice(hashIndex)}`;
+  return true;
+}
+
+function settleIntegrity(tagName, attribs, baseUrl, decisions) {
+  const source = tagName === "script" ? attribs.src : tagName === "link" ? attribs.href : null;
+  if (attribs.integrity === undefined || !source || source.startsWith("/powerthrough")) {
+    return false;
+  }
+  let url;
+  try {
+    url = new URL(source, baseUrl);
+    url.hash = "";
+  } catch {
+    return false;
+  }
+  if (!["http:", "https:"].includes(url.protocol)) {
+    return false;
+  }
+  const { action, integrity, reason } = integrityLedger.resolve(url.href, attribs.integrity, {
+    rewritable: isRewrittenSubresource(tagName, attribs),
+  });
+  decisions.push({ url: url.href, action, reason });
+  if (action === "keep") {
+    return false;
+  }
+  if (integrity) {
+    attribs.integrity = integrity;
+  } else {
+    delete attribs.integrity;
+  }
+  return true;
+}
 
-  for (const [selector, attribute] of attributesToRewrite) {
-    $(selector).each((_, element) => rewriteAttribute($, element, attribute, baseUrl));
+// Scripts and stylesheets go through relayRewrittenText; everything else is relayed as-is.
+function isRewrittenSubresource(tagName, attribs) {
+  if (tagName === "script") {
+    return true;
+  }
+  const rel = (attribs.rel || "").toLowerCase().split(/\s+/);
+  if (rel.includes("stylesheet") || rel.includes("modulepreload")) {
+    return true;
   }
+  return rel.includes("preload") && ["script", "style"].includes((attribs.as || "").toLowerCase());
+}
 
-  $("[srcset]").each((_, element) => rewriteSrcset($, element, baseUrl));
+function buildIntegrityDiagnostics(decisions) {
+  if (!decisions.length) {
+    return "";
+  }
+  const value = JSON.stringify(decisions.slice(0, INTEGRITY_DIAGNOSTICS_MAX));
+  return `<meta name="coffeeshop-integrity" content="${escapeHtmlAttribute(value)}">`;
+}
 
-  return $.html();
+function rewriteBaseElement(attribs, documentBase) {
+  if (!attribs.href) {
+    return false;
+  }
+  if (documentBase.locked) {
+    // Only the first <base href> counts; later ones would take over once it is removed.
+    delete attribs.href;
+    return true;
+  }
+  documentBase.locked = true;
+  const resolved = resolveUpstreamUrl(attribs.href, documentBase.url);
+  if (!resolved) {
+    return false;
+  }
+  // The relay resolves everything server-side; a live base href would point the browser
+  // at the upstream origin. The interceptor picks the value up from data-coffeeshop-base.
+  documentBase.url = resolved;
+  delete attribs.href;
+  attribs["data-coffeeshop-base"] = resolved.href;
+  return true;
 }
 
-function patchDuckduckgoPage(html) {
-  return html.replace(/href="\/\//g, 'href="https://').replace(/integrity="[^"]+"/g, "");
+function buildHeadInjection(baseUrl, context = {}) {
+  const headMeta = [
+    ["coffeeshop-redirects", serializeRedirectChain(context.redirectChain)],
+    ["coffeeshop-target", baseUrl?.toString?.() ?? ""],
+    ["coffeeshop-renderer", context.renderer || "direct"],
+    ["coffeeshop-charset", context.charset],
+    ["coffeeshop-request-id", context.requestId],
+  ];
+  const metaTags = headMeta
+    .filter(([, value]) => value)
+    .map(([name, value]) => `<meta name="${name}" content="${escapeHtmlAttribute(value)}">`)
+    .join("");
+  const nonce = context.cspNonce ? ` nonce="${escapeHtmlAttribute(context.cspNonce)}"` : "";
+  return `${metaTags}<script src="/interceptor.js"${nonce}></script>`;
 }
 
-function patchGooglePage(html) {
-  return html.replace(/nonce="[^"]+"/g, "");
+function rewriteTagAttributes(tagName, attribs, baseUrl, documentUrl = baseUrl) {
+  let changed = false;
+  for (const [selector, attribute, kind = "url"] of attributesToRewrite) {
+    if (selector !== tagName && selector !== "*") continue;
+    const rewritten = attributeRewriters[kind](attribs[attribute], attribute, attribs, baseUrl, documentUrl);
+    if (rewritten !== null && rewritten !== attribs[attribute]) {
+      attribs[attribute] = rewritten;
+      changed = true;
+    }
+  }
+  return changed;
 }
 
 function rewriteCssUrls(css, baseUrl) {
-  // Rewrite url(...) in CSS
-  return css.replace(/url\(['"]?([^'")]+)['"]?\)/gi, (match, url) => {
-    if (url.startsWith('data:') || url.startsWith('#')) {
-      return match;
-    }
-    try {
-      const resolved = new URL(url, baseUrl);
-      return `url(${buildCoffeeShopUrl(resolved.toString())})`;
-    } catch {
-      return match;
-    }
-  });
+  return rewriteCssUrlReferences(css, (url) => rewriteUrlAttribute(url.trim(), "url", baseUrl));
+}
+
+function buildCoffeeShopUrl(targetUrl) {
+  return `/powerthrough?url=${encodeURIComponent(targetUrl)}`;
 }
 
-function rewriteAttribute($, element, attribute, baseUrl) {
-  let value = $(element).attr(attribute);
+function rewriteUrlAttribute(value, attribute, baseUrl) {
   if (!value) {
-    if (attribute === "action") {
-      $(element).attr(attribute, buildCoffeeShopUrl(baseUrl.toString()));
-    }
-    return;
+    return attribute === "action" ? buildCoffeeShopUrl(baseUrl.toString()) : null;
   }
   if (value.startsWith("/powerthrough")) {
-    return;
+    return null;
   }
   if (value.startsWith("#")) {
-    return;
+    return null;
   }
-  if (/^(mailto|tel|javascript):/i.test(value)) {
-    return;
+  if (/^(mailto|tel|javascript|data|blob|about):/i.test(value)) {
+    return null;
   }
   try {
     const resolved = new URL(value, baseUrl);
-    $(element).attr(attribute, buildCoffeeShopUrl(resolved.toString()));
+    // Fragments never reach the upstream; keep them on the proxied URL so anchors and
+    // SVG <use href="sprite.svg#icon"> references still work.
+    const { hash } = resolved;
+    resolved.hash = "";
+    return `${buildCoffeeShopUrl(resolved.toString())}${hash}`;
   } catch {
     // Ignore rewrites that fail URL resolution.
+    return null;
   }
 }
 
-function rewriteSrcset($, element, baseUrl) {
-  const value = $(element).attr("srcset");
-  if (!value) return;
+function rewriteSrcsetValue(value, baseUrl) {
+  if (!value) return value;
 
-  const rewritten = value
+  return value
     .split(",")
     .map((entry) => {
       const [url, descriptor] = entry.trim().split(/\s+/);
@@ -1705,8 +3352,6 @@ function rewriteSrcset($, element, baseUrl) {
     })
     .filter(Boolean)
     .join(", ");
-
-  $(element).attr("srcset", rewritten);
 }
 
 function redirectProxyRequest(req, res, encodedParam, sessionId) {
@@ -1797,17 +3442,30 @@ function summarizeMetrics() {
     cacheHitRate: cacheRequests > 0 ? metrics.cacheHits / cacheRequests : 0,
     cacheSize: cacheStore.size,
     cacheMaxEntries: CACHE_MAX_ENTRIES,
-    headlessActive: metrics.headlessActive,
+    headlessActive: headlessPool.active,
     headlessFailures: metrics.headlessFailures,
+    headless: headlessPool.stats(),
     safezone: {
       requests: metrics.safezoneRequests,
       errors: metrics.safezoneErrors,
     },
     domainBlocks: metrics.domainBlocks,
+    upstreamPool: summarizeUpstreamPool(),
     avgLatencyMs,
   };
 }
 
+function summarizeUpstreamPool() {
+  const { hosts, maxConnectionsPerHost, rejectedFull, rejectedTimeout } = upstreamPool.stats();
+  return {
+    maxConnectionsPerHost,
+    rejected: rejectedFull + rejectedTimeout,
+    hosts: Object.entries(hosts)
+      .map(([origin, stats]) => ({ origin, ...stats }))
+      .sort((a, b) => b.active + b.queued - (a.active + a.queued) || b.connected - a.connected),
+  };
+}
+
 async function loadBannedCacheKeys() {
   try {
     const raw = await fs.readFile(BANNED_CACHE_PATH, "utf8");
@@ -1831,6 +3489,47 @@ async function persistBannedCacheKeys() {
   }
 }
 
+function loadHeaderPolicy() {
+  try {
+    headerPolicy.load(JSON.parse(readFileSync(HEADER_POLICY_PATH, "utf8")));
+  } catch (error) {
+    console.error("[coffeeshop] failed to load header policy", HEADER_POLICY_PATH, error.message);
+    throw error;
+  }
+  return headerPolicy.rules.length;
+}
+
+async function loadCookieJar() {
+  try {
+    const raw = await fs.readFile(COOKIE_JAR_PATH, "utf8");
+    cookieJar.load(JSON.parse(raw));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw error;
+    }
+  }
+}
+
+function scheduleCookieJarPersist() {
+  if (cookieJarPersistTimer) {
+    return;
+  }
+  cookieJarPersistTimer = setTimeout(() => {
+    cookieJarPersistTimer = null;
+    persistCookieJar();
+  }, COOKIE_JAR_PERSIST_DELAY);
+  cookieJarPersistTimer.unref?.();
+}
+
+async function persistCookieJar() {
+  try {
+    await fs.mkdir(DATA_DIR, { recursive: true });
+    await fs.writeFile(COOKIE_JAR_PATH, JSON.stringify(cookieJar), "utf8");
+  } catch (error) {
+    console.error("[coffeeshop] failed to persist cookie jar", error);
+  }
+}
+
 async function loadUserRegistry() {
   try {
     const raw = await fs.readFile(USERS_PATH, "utf8");
@@ -0,0 +1,130 @@
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import net from "node:net";
+import { describe, it } from "node:test";
+import { AddressGuard, isBlockedAddressError } from "../relay/AddressGuard.js";
+
+/** A resolver that hands out `answers` in turn, one per lookup, the way a rebinding name would. */
+function scriptedResolver(...answers) {
+  const calls = [];
+  const resolver = (hostname, options, callback) => {
+    calls.push({ hostname, options });
+    const answer = answers[Math.min(calls.length, answers.length) - 1];
+    process.nextTick(callback, null, [{ address: answer, family: net.isIP(answer) }]);
+  };
+  return { resolver, calls };
+}
+
+function lookup(guard, hostname, options = {}) {
+  return new Promise((resolve) => {
+    guard.lookup(hostname, options, (error, address, family) => resolve({ error, address, family }));
+  });
+}
+
+describe("AddressGuard.isBlockedHost", () => {
+  const guard = new AddressGuard();
+
+  it("sees loopback through octal, hex, integer and shortened IPv4 notations", () => {
+    for (const host of ["127.0.0.1", "0177.0.0.1", "0x7f.0.0.1", "0x7f000001", "2130706433", "127.1", "0177.1"]) {
+      assert.equal(guard.isBlockedHost(host), true, host);
+    }
+    // 0x5db8d822 is 93.184.216.34.
+    assert.equal(guard.isBlockedHost("0x5db8d822"), false);
+    assert.equal(guard.isBlockedHost("1572395042"), false);
+  });
+
+  it("sees private IPv4 addresses mapped or embedded in IPv6", () => {
+    for (const host of ["::ffff:127.0.0.1", "[::ffff:7f00:1]", "::ffff:10.0.0.5", "64:ff9b::a9fe:a9fe", "2002:c0a8:101::1"]) {
+      assert.equal(guard.isBlockedHost(host), true, host);
+    }
+    assert.equal(guard.isBlockedHost("::ffff:93.184.216.34"), false);
+    assert.equal(guard.isBlockedHost("[2606:4700::1111]"), false);
+  });
+
+  it("blocks private, link-local, CGNAT and other reserved ranges", () => {
+    for (const host of [
+      "10.1.2.3",
+      "172.16.0.1",
+      "172.31.255.255",
+      "192.168.1.1",
+      "169.254.169.254",
+      "100.64.0.1",
+      "100.127.255.254",
+      "0.0.0.0",
+      "224.0.0.1",
+      "::1",
+      "::",
+      "fd00:ec2::254",
+      "fe80::1",
+    ]) {
+      assert.equal(guard.isBlockedHost(host), true, host);
+    }
+    for (const host of ["172.32.0.1", "100.128.0.1", "169.255.0.1", "8.8.8.8", "2001:4860:4860::8888"]) {
+      assert.equal(guard.isBlockedHost(host), false, host);
+    }
+  });
+
+  it("blocks local names and blocklist entries, including their subdomains", () => {
+    const listed = new AddressGuard({ blocklist: ["*.corp.example", "203.0.112.0/24"] });
+    for (const host of ["localhost", "app.localhost", "LOCALHOST.", "metadata.google.internal", "git.corp.example"]) {
+      assert.equal(listed.isBlockedHost(host), true, host);
+    }
+    assert.equal(listed.isBlockedHost("203.0.112.9"), true);
+    assert.equal(listed.isBlockedHost("corp.example.org"), false);
+    assert.equal(listed.isBlockedHost(""), true);
+  });
+});
+
+describe("AddressGuard.lookup", () => {
+  it("hands the socket exactly the address it checked", async () => {
+    const { resolver, calls } = scriptedResolver("93.184.216.34", "127.0.0.1");
+    const guard = new AddressGuard({ resolver });
+
+    const first = await lookup(guard, "rebind.example");
+    assert.deepEqual(first, { error: null, address: "93.184.216.34", family: 4 });
+    assert.equal(calls[0].options.all, true);
+
+    // The name now rebinds to loopback; the next connection is checked again.
+    const second = await lookup(guard, "rebind.example");
+    assert.ok(isBlockedAddressError(second.error));
+    assert.equal(second.error.address, "127.0.0.1");
+    assert.equal(second.address, undefined);
+  });
+
+  it("fails the whole answer when any record is blocked", async () => {
+    const guard = new AddressGuard({
+      resolver: (_hostname, _options, callback) =>
+        callback(null, [
+          { address: "93.184.216.34", family: 4 },
+          { address: "::ffff:192.168.0.1", family: 6 },
+        ]),
+    });
+    const { error } = await lookup(guard, "mixed.example");
+    assert.ok(isBlockedAddressError(error));
+    assert.equal(error.address, "::ffff:192.168.0.1");
+    await assert.rejects(guard.assertAllowed("mixed.example"), isBlockedAddressError);
+  });
+
+  it("refuses blocked hosts without resolving them", async () => {
+    const { resolver, calls } = scriptedResolver("93.184.216.34");
+    const guard = new AddressGuard({ resolver });
+    const { error } = await lookup(guard, "0x7f.1");
+    assert.ok(isBlockedAddressError(error));
+    assert.equal(calls.length, 0);
+  });
+
+  it("keeps a socket from connecting to a name that resolves privately", async () => {
+    const server = net.createServer((socket) => socket.destroy());
+    server.listen(0, "127.0.0.1");
+    await once(server, "listening");
+    let connections = 0;
+    server.on("connection", () => (connections += 1));
+
+    const guard = new AddressGuard({ resolver: scriptedResolver("127.0.0.1").resolver });
+    const socket = net.connect({ host: "innocent.example", port: server.address().port, lookup: guard.lookup });
+    const [error] = await once(socket, "error");
+    assert.ok(isBlockedAddressError(error));
+    assert.equal(connections, 0);
+    server.close();
+  });
+});
@@ -0,0 +1,29 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { requestCarriesJarCookies, responseSetsCookies } from "../relay/cacheScope.js";
+import { CookieJar } from "../relay/CookieJar.js";
+
+describe("cacheScope", () => {
+  const jar = new CookieJar();
+  jar.storeSetCookies("device-1", "https://a.example/", ["sid=1; Path=/"]);
+
+  it("keeps requests that carry jar cookies out of the shared caches", () => {
+    const carries = (targetUrl, renderMode, deviceId = "device-1") =>
+      requestCarriesJarCookies(jar, { deviceId, targetUrl: new URL(targetUrl), renderMode });
+    assert.equal(carries("https://a.example/page", "direct"), true);
+    assert.equal(carries("https://a.example/page", "lite"), true);
+    assert.equal(carries("https://b.example/page", "direct"), false);
+    // The browser gets every cookie the device holds.
+    assert.equal(carries("https://b.example/page", "headless"), true);
+    assert.equal(carries("https://a.example/page", "direct", "device-2"), false);
+    assert.equal(carries("https://a.example/page", "direct", null), false);
+  });
+
+  it("keeps responses that set cookies out of the shared caches", () => {
+    assert.equal(responseSetsCookies(new Headers([["set-cookie", "csrf=abc; Path=/"]])), true);
+    assert.equal(responseSetsCookies(new Headers([["cache-control", "max-age=60"]])), false);
+    assert.equal(responseSetsCookies([["Set-Cookie", "sid=2"]]), true);
+    assert.equal(responseSetsCookies([["content-type", "text/html"]]), false);
+    assert.equal(responseSetsCookies(null), false);
+  });
+});
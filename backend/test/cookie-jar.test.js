@@ -0,0 +1,75 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { CookieJar, parseSetCookie } from "../relay/CookieJar.js";
+
+const DEVICE = "device-1";
+
+function jarWith(requestUrl, setCookies) {
+  const jar = new CookieJar();
+  const stored = jar.storeSetCookies(DEVICE, requestUrl, setCookies);
+  return { jar, stored };
+}
+
+describe("CookieJar", () => {
+  it("scopes cookies by domain, path and Secure", () => {
+    const { jar, stored } = jarWith("https://shop.example.com/cart/view", [
+      "host=1",
+      "wide=2; Domain=example.com; Path=/",
+      "secure=3; Secure; Path=/",
+    ]);
+    assert.equal(stored, 3);
+    assert.equal(jar.getCookieHeader(DEVICE, "https://shop.example.com/cart/items"), "host=1; wide=2; secure=3");
+    assert.equal(jar.getCookieHeader(DEVICE, "http://shop.example.com/"), "wide=2");
+    assert.equal(jar.getCookieHeader(DEVICE, "https://blog.example.com/"), "wide=2");
+    assert.equal(jar.getCookieHeader(DEVICE, "https://example.org/"), "");
+  });
+
+  it("refuses Domain attributes naming a public suffix", () => {
+    const { jar, stored } = jarWith("https://attacker.co.uk/", ["sid=evil; Domain=co.uk; Path=/"]);
+    assert.equal(stored, 0);
+    assert.equal(jar.getCookieHeader(DEVICE, "https://bank.co.uk/"), "");
+
+    for (const [url, domain] of [
+      ["https://attacker.github.io/", "github.io"],
+      ["https://attacker.herokuapp.com/", "herokuapp.com"],
+      ["https://attacker.example.com/", "com"],
+    ]) {
+      assert.equal(parseSetCookie(`sid=evil; Domain=${domain}`, url), null, domain);
+    }
+  });
+
+  it("accepts Domain attributes one label below a public suffix", () => {
+    const { jar, stored } = jarWith("https://www.example.co.uk/", ["sid=1; Domain=example.co.uk; Path=/"]);
+    assert.equal(stored, 1);
+    assert.equal(jar.getCookieHeader(DEVICE, "https://shop.example.co.uk/"), "sid=1");
+    assert.equal(jar.getCookieHeader(DEVICE, "https://other.co.uk/"), "");
+
+    const pages = parseSetCookie("sid=1; Domain=alice.github.io", "https://alice.github.io/blog/");
+    assert.equal(pages.domain, "alice.github.io");
+    assert.equal(pages.hostOnly, false);
+  });
+
+  it("keeps a suffix-domain cookie host-only when the suffix host itself sets it", () => {
+    const cookie = parseSetCookie("sid=1; Domain=github.io; Path=/", "https://github.io/");
+    assert.equal(cookie.domain, "github.io");
+    assert.equal(cookie.hostOnly, true);
+    const { jar } = jarWith("https://github.io/", ["sid=1; Domain=github.io; Path=/"]);
+    assert.equal(jar.getCookieHeader(DEVICE, "https://alice.github.io/"), "");
+    assert.equal(jar.getCookieHeader(DEVICE, "https://github.io/"), "sid=1");
+  });
+
+  it("drops saved domain cookies on a public suffix when loading", () => {
+    const expires = Date.now() + 60_000;
+    const saved = (name, domain, hostOnly) => ({ name, value: "1", domain, path: "/", hostOnly, expires, created: 1 });
+    const jar = new CookieJar();
+    jar.load({
+      devices: {
+        [DEVICE]: [saved("leak", "co.uk", false), saved("ok", "example.co.uk", false), saved("own", "github.io", true)],
+      },
+    });
+    assert.deepEqual(
+      jar.allCookies(DEVICE).map((cookie) => cookie.name),
+      ["ok", "own"]
+    );
+  });
+});
@@ -0,0 +1,232 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { FakeRenderer } from "../relay/FakeRenderer.js";
+import { HeadlessPool, isHeadlessQueueError } from "../relay/HeadlessPool.js";
+import { PlaywrightRenderer } from "../relay/PlaywrightRenderer.js";
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const job = (url, extra = {}) => ({ url: new URL(url), deviceKey: "device-1", cookies: [], ...extra });
+const render = (pool, url, options = {}) => pool.run((backend) => backend.render(job(url)), options);
+
+function assertQueueError(reason) {
+  return (error) => isHeadlessQueueError(error) && error.reason === reason;
+}
+
+describe("HeadlessPool", () => {
+  it("runs at most maxConcurrency jobs and starts queued ones in order", async () => {
+    const backend = new FakeRenderer({ delay: 20 });
+    const pool = new HeadlessPool({ backend, maxConcurrency: 2, maxQueue: 4 });
+    let peak = 0;
+    const started = [];
+    const results = await Promise.all(
+      ["a", "b", "c", "d"].map((name) =>
+        pool.run(async (renderer) => {
+          started.push(name);
+          peak = Math.max(peak, pool.active);
+          return renderer.render(job(`https://example.com/${name}`));
+        })
+      )
+    );
+    assert.equal(peak, 2);
+    assert.deepEqual(started, ["a", "b", "c", "d"]);
+    assert.deepEqual(
+      results.map((result) => result.finalUrl.pathname),
+      ["/a", "/b", "/c", "/d"]
+    );
+    assert.equal(pool.stats().queued, 2);
+    assert.equal(pool.stats().completed, 4);
+    assert.equal(pool.stats().active, 0);
+  });
+
+  it("rejects jobs once the queue is full", async () => {
+    const pool = new HeadlessPool({ backend: new FakeRenderer({ delay: 20 }), maxConcurrency: 1, maxQueue: 1 });
+    const first = render(pool, "https://example.com/1");
+    const second = render(pool, "https://example.com/2");
+    await assert.rejects(render(pool, "https://example.com/3"), assertQueueError("full"));
+    await Promise.all([first, second]);
+    assert.equal(pool.stats().rejectedFull, 1);
+  });
+
+  it("gives up on jobs that wait longer than queueTimeout", async () => {
+    const pool = new HeadlessPool({
+      backend: new FakeRenderer({ delay: 50 }),
+      maxConcurrency: 1,
+      maxQueue: 2,
+      queueTimeout: 10,
+    });
+    const first = render(pool, "https://example.com/slow");
+    await assert.rejects(render(pool, "https://example.com/late"), assertQueueError("timeout"));
+    await first;
+    assert.equal(pool.stats().rejectedTimeout, 1);
+    assert.equal(pool.stats().waiting, 0);
+  });
+
+  it("drops queued jobs whose caller aborts and aborts running renders", async () => {
+    const backend = new FakeRenderer({ delay: 30 });
+    const pool = new HeadlessPool({ backend, maxConcurrency: 1, maxQueue: 2 });
+    const running = new AbortController();
+    const queued = new AbortController();
+    const first = pool.run((renderer) => renderer.render(job("https://example.com/a", { signal: running.signal })), {
+      signal: running.signal,
+    });
+    const second = render(pool, "https://example.com/b", { signal: queued.signal });
+    queued.abort(new Error("tab closed"));
+    await assert.rejects(second, /tab closed/);
+    running.abort(new Error("navigated away"));
+    await assert.rejects(first, /navigated away/);
+    assert.equal(pool.stats().abortedWhileQueued, 1);
+    assert.equal(pool.stats().failed, 1);
+    assert.deepEqual(
+      backend.jobs.map((entry) => entry.url.pathname),
+      ["/a"]
+    );
+  });
+
+  it("rejects what is still queued on close and closes the backend", async () => {
+    const backend = new FakeRenderer({ delay: 20 });
+    const pool = new HeadlessPool({ backend, maxConcurrency: 1 });
+    const first = render(pool, "https://example.com/1");
+    const second = render(pool, "https://example.com/2");
+    await pool.close();
+    await assert.rejects(second, /shutting down/);
+    await first;
+    assert.equal(backend.closed, true);
+  });
+});
+
+describe("FakeRenderer", () => {
+  it("serves canned pages and hands the device's cookies to the render", async () => {
+    const backend = new FakeRenderer({
+      pages: { "https://example.com/": { status: 201, body: "<p>hi</p>", cookies: [{ url: "x", setCookie: "a=1" }] } },
+    });
+    const cookies = [{ name: "sid", value: "42", domain: "example.com", path: "/" }];
+    const result = await backend.render(job("https://example.com/", { cookies }));
+    assert.equal(result.status, 201);
+    assert.equal(result.body, "<p>hi</p>");
+    assert.deepEqual(result.cookies, [{ url: "x", setCookie: "a=1" }]);
+    assert.deepEqual(backend.jobs[0].cookies, cookies);
+  });
+
+  it("captures a PNG screenshot or a PDF without a body", async () => {
+    const backend = new FakeRenderer();
+    const pool = new HeadlessPool({ backend });
+    const png = await pool.run((renderer) => renderer.capture(job("https://example.com/", { format: "png" })));
+    assert.equal(png.contentType, "image/png");
+    assert.ok(png.buffer.subarray(0, 8).equals(PNG_SIGNATURE));
+    assert.equal("body" in png, false);
+
+    const pdf = await pool.run((renderer) =>
+      renderer.capture(job("https://example.com/report", { format: "pdf", fullPage: true }))
+    );
+    assert.equal(pdf.contentType, "application/pdf");
+    const text = pdf.buffer.toString("latin1");
+    assert.ok(text.startsWith("%PDF-1.4\n") && text.endsWith("%%EOF\n"));
+    assert.ok(text.includes("(Rendered https://example.com/report)"));
+    assert.equal(pdf.finalUrl.href, "https://example.com/report");
+    assert.equal(backend.jobs[1].fullPage, true);
+  });
+});
+
+describe("PlaywrightRenderer", () => {
+  /**
+   * A Playwright stand-in with one context per newContext call. Pages "load" for
+   * `loadTime` ms and render the cookies their context holds when they are read, which
+   * is what a render racing another one on the same context would get wrong.
+   */
+  function fakePlaywright({ loadTime = 10 } = {}) {
+    const contexts = [];
+    const browser = {
+      on() {},
+      async close() {},
+      async newContext() {
+        let jar = [];
+        const context = {
+          routes: [],
+          webSocketRoutes: [],
+          async route(pattern, handler) {
+            context.routes.push(handler);
+          },
+          async routeWebSocket(pattern, handler) {
+            context.webSocketRoutes.push(handler);
+          },
+          async clearCookies() {
+            jar = [];
+          },
+          async addCookies(cookies) {
+            jar = [...cookies];
+          },
+          async cookies() {
+            return jar;
+          },
+          async newPage() {
+            let current = "about:blank";
+            return {
+              async goto(url) {
+                current = url;
+                await new Promise((resolve) => setTimeout(resolve, loadTime));
+                return { status: () => 200, allHeaders: async () => ({ "content-type": "text/html" }) };
+              },
+              async waitForLoadState() {},
+              async content() {
+                return `<p>${jar.map((cookie) => `${cookie.name}=${cookie.value}`).join("; ")}</p>`;
+              },
+              url: () => current,
+              async close() {},
+            };
+          },
+          async close() {},
+        };
+        contexts.push(context);
+        return context;
+      },
+    };
+    return { contexts, loadPlaywright: async () => ({ chromium: { launch: async () => browser } }) };
+  }
+
+  const jarCookie = (value) => ({ name: "sid", value, domain: "example.com", hostOnly: true, path: "/" });
+
+  it("runs one device's renders one at a time so each keeps its own cookies", async () => {
+    const { contexts, loadPlaywright } = fakePlaywright();
+    const renderer = new PlaywrightRenderer({ loadPlaywright });
+    const [first, second, other] = await Promise.all([
+      renderer.render(job("https://example.com/a", { cookies: [jarCookie("first")] })),
+      renderer.render(job("https://example.com/b", { cookies: [jarCookie("second")] })),
+      renderer.render(job("https://example.com/c", { deviceKey: "device-2", cookies: [jarCookie("other")] })),
+    ]);
+    await renderer.close();
+    assert.equal(first.body, "<p>sid=first</p>");
+    assert.equal(second.body, "<p>sid=second</p>");
+    assert.equal(other.body, "<p>sid=other</p>");
+    assert.equal(contexts.length, 2);
+  });
+
+  it("checks WebSockets against allowRequest and only connects allowed ones", async () => {
+    const { contexts, loadPlaywright } = fakePlaywright();
+    const renderer = new PlaywrightRenderer({
+      loadPlaywright,
+      allowRequest: async (url) => {
+        if (url.hostname === "10.0.0.1") throw new Error("private address");
+      },
+    });
+    await renderer.render(job("https://example.com/"));
+    await renderer.close();
+    const [routeWebSocket] = contexts[0].webSocketRoutes;
+    const socket = (url) => {
+      const events = [];
+      return {
+        events,
+        url: () => url,
+        connectToServer: () => events.push("connect"),
+        close: async ({ code }) => events.push(`close ${code}`),
+      };
+    };
+    const blocked = socket("ws://10.0.0.1/admin");
+    const allowed = socket("wss://live.example.com/feed");
+    await routeWebSocket(blocked);
+    await routeWebSocket(allowed);
+    assert.deepEqual(blocked.events, ["close 1008"]);
+    assert.deepEqual(allowed.events, ["connect"]);
+    assert.equal(renderer.stats().blockedRequests, 1);
+  });
+});
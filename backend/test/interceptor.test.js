@@ -0,0 +1,156 @@
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { describe, it } from "node:test";
+import { JSDOM } from "jsdom";
+import { JsModuleRewriter } from "../relay/JsModuleRewriter.js";
+
+const INTERCEPTOR = readFileSync(new URL("../../public/interceptor.js", import.meta.url), "utf8");
+const RELAY = "http://relay.test";
+const TARGET = "https://example.com/docs/";
+
+const proxied = (url) => `${RELAY}/powerthrough?url=${encodeURIComponent(url)}`;
+
+/**
+ * Loads interceptor.js into a relayed page for TARGET. Browser APIs jsdom lacks (or
+ * that would hit the network) are replaced by recorders before the interceptor wraps
+ * them; `calls` collects what reached them.
+ */
+function loadPage(body = "") {
+  const dom = new JSDOM(
+    `<!doctype html><html><head><meta name="coffeeshop-target" content="${TARGET}"></head><body>${body}</body></html>`,
+    { url: proxied(TARGET), runScripts: "outside-only" }
+  );
+  const { window } = dom;
+  const calls = { fetch: [], xhr: [], beacon: [], eventSource: [], webSocket: [], open: [] };
+  window.fetch = async (input) => {
+    calls.fetch.push(typeof input === "string" ? input : input.url);
+    return new window.Response("");
+  };
+  window.Response = class {};
+  window.Request = class {
+    constructor(url) {
+      this.url = url;
+    }
+  };
+  const open = window.XMLHttpRequest.prototype.open;
+  window.XMLHttpRequest.prototype.open = function(method, url, ...args) {
+    calls.xhr.push(url);
+    return open.call(this, method, url, ...args);
+  };
+  window.navigator.sendBeacon = (url) => calls.beacon.push(url);
+  window.EventSource = class {
+    constructor(url) {
+      calls.eventSource.push(url);
+    }
+  };
+  window.WebSocket = class {
+    constructor(url) {
+      calls.webSocket.push(url);
+    }
+  };
+  window.open = (url) => calls.open.push(url);
+  window.console.log = () => {};
+  window.eval(INTERCEPTOR);
+  return { window, document: window.document, calls };
+}
+
+const flushMutations = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe("interceptor.js", () => {
+  it("routes fetch, XHR, beacons and EventSource through the relay", async () => {
+    const { window, calls } = loadPage();
+    await window.fetch("/api/items?page=2");
+    await window.fetch(new window.Request("https://api.example.com/v1"));
+    const xhr = new window.XMLHttpRequest();
+    xhr.open("GET", "data.json");
+    window.navigator.sendBeacon("https://stats.example.net/hit", "");
+    new window.EventSource("/stream");
+    assert.deepEqual(calls.fetch, [
+      proxied("https://example.com/api/items?page=2"),
+      proxied("https://api.example.com/v1"),
+    ]);
+    assert.deepEqual(calls.xhr, [proxied("https://example.com/docs/data.json")]);
+    assert.deepEqual(calls.beacon, [proxied("https://stats.example.net/hit")]);
+    assert.deepEqual(calls.eventSource, [proxied("https://example.com/stream")]);
+  });
+
+  it("leaves relayed, data and fragment URLs alone", async () => {
+    const { window, calls } = loadPage();
+    await window.fetch(proxied("https://example.com/x"));
+    await window.fetch("data:text/plain,hi");
+    await window.fetch("#top");
+    assert.deepEqual(calls.fetch, [proxied("https://example.com/x"), "data:text/plain,hi", "#top"]);
+  });
+
+  it("opens WebSockets on the relay's upgrade path", () => {
+    const { window, calls } = loadPage();
+    new window.WebSocket("wss://live.example.com/socket");
+    new window.WebSocket("/updates");
+    assert.deepEqual(calls.webSocket, [
+      `ws://relay.test/powerthrough?url=${encodeURIComponent("wss://live.example.com/socket")}`,
+      `ws://relay.test/powerthrough?url=${encodeURIComponent("wss://example.com/updates")}`,
+    ]);
+  });
+
+  it("rewrites window.open targets", () => {
+    const { window, calls } = loadPage();
+    window.open("https://other.example.org/", "_blank");
+    window.open();
+    assert.deepEqual(calls.open, [proxied("https://other.example.org/"), undefined]);
+  });
+
+  it("rewrites URL properties and setAttribute on dynamically created elements", () => {
+    const { document } = loadPage();
+    const script = document.createElement("script");
+    script.src = "/app.js";
+    const link = document.createElement("link");
+    link.setAttribute("href", "theme.css");
+    const iframe = document.createElement("iframe");
+    iframe.setAttribute("src", "https://embed.example.net/player");
+    const source = document.createElement("source");
+    source.srcset = "small.png 1x, /large.png 2x";
+    const div = document.createElement("div");
+    div.setAttribute("title", "/not-a-url");
+
+    assert.equal(script.getAttribute("src"), proxied("https://example.com/app.js"));
+    assert.equal(link.getAttribute("href"), proxied("https://example.com/docs/theme.css"));
+    assert.equal(iframe.getAttribute("src"), proxied("https://embed.example.net/player"));
+    assert.equal(
+      source.getAttribute("srcset"),
+      `${proxied("https://example.com/docs/small.png")} 1x, ${proxied("https://example.com/large.png")} 2x`
+    );
+    assert.equal(div.getAttribute("title"), "/not-a-url");
+  });
+
+  it("rewrites markup already in the page and markup inserted later", async () => {
+    const { document } = loadPage('<a id="first" href="/first" target="_blank">first</a>');
+    assert.equal(document.getElementById("first").getAttribute("href"), proxied("https://example.com/first"));
+    assert.equal(document.getElementById("first").getAttribute("target"), "_self");
+
+    document.body.insertAdjacentHTML("beforeend", '<div><img id="later" src="later.png"></div>');
+    await flushMutations();
+    assert.equal(document.getElementById("later").getAttribute("src"), proxied("https://example.com/docs/later.png"));
+  });
+
+  it("keeps pushState on the relay and resolves later URLs against the new page", async () => {
+    const { window, calls } = loadPage();
+    window.history.pushState({}, "", "/guide/intro");
+    assert.equal(window.location.href, proxied("https://example.com/guide/intro"));
+    window.history.replaceState({}, "", "next");
+    assert.equal(window.location.href, proxied("https://example.com/guide/next"));
+    await window.fetch("toc.json");
+    assert.deepEqual(calls.fetch, [proxied("https://example.com/guide/toc.json")]);
+  });
+
+  it("sends rewritten location.href assignments through the relay", () => {
+    // jsdom only performs fragment navigations, so the assignment targets this page's
+    // own fragment: it stays in the document only if it was relayed to the same URL.
+    const { window } = loadPage();
+    const rewriter = new JsModuleRewriter({ rewriteUrl: proxied });
+    const script = rewriter.rewrite('window.location.href = "/docs/#install";', TARGET);
+    assert.match(script, /__coffeeshopLocation/);
+    window.eval(script);
+    assert.equal(window.location.href, `${proxied(TARGET)}#install`);
+    assert.equal(window.__coffeeshopLocation.href, TARGET);
+  });
+});
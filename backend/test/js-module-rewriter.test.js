@@ -0,0 +1,57 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { JsModuleRewriter } from "../relay/JsModuleRewriter.js";
+
+const BASE = "https://example.com/app/main.js";
+const proxied = (url) => `/powerthrough?url=${encodeURIComponent(url)}`;
+const rewrite = (source) => new JsModuleRewriter({ rewriteUrl: proxied }).rewrite(source, BASE);
+
+describe("JsModuleRewriter", () => {
+  it("rewrites Worker, importScripts and location assignments in code", () => {
+    const output = rewrite(
+      'const w = new Worker("worker.js");\nimportScripts("a.js", "b.js");\nwindow.location.href = next;\n'
+    );
+    assert.match(output, /new Worker\(\(globalThis\.__coffeeshopRewriteUrl \|\| String\)\("worker\.js"\)\)/);
+    assert.match(output, new RegExp(`importScripts\\("${escape(proxied("https://example.com/app/a.js"))}"`));
+    assert.match(output, new RegExp(`"${escape(proxied("https://example.com/app/b.js"))}"\\)`));
+    assert.match(output, /__coffeeshopLocation" : "location"\]\.href = next;/);
+  });
+
+  it("leaves the patterns alone inside strings and comments", () => {
+    const source = [
+      'const docs = "new Worker(\\"w.js\\") and importScripts(\\"s.js\\")";',
+      "const hint = 'window.location.href = x';",
+      "// new Worker('commented.js'); location.href = y;",
+      "/* importScripts('block.js');",
+      "   document.location = z; */",
+      'importScripts(/* "skipped.js", */ "kept.js");',
+    ].join("\n");
+    const output = rewrite(source);
+    const lines = output.split("\n");
+    assert.deepEqual(lines.slice(0, 5), source.split("\n").slice(0, 5));
+    assert.equal(lines[5], `importScripts(/* "skipped.js", */ "${proxied("https://example.com/app/kept.js")}");`);
+  });
+
+  it("leaves the patterns alone inside template text and regex literals", () => {
+    const source = [
+      "const tpl = `new Worker('t.js'); location.href = a`;",
+      "const re = /new Worker\\('r.js'\\)|location.href = b/;",
+      "if (ok) x = total / 2, self.location = c;",
+    ].join("\n");
+    const lines = rewrite(source).split("\n");
+    assert.equal(lines[0], source.split("\n")[0]);
+    assert.equal(lines[1], source.split("\n")[1]);
+    // Division is not mistaken for the start of a regex literal.
+    assert.match(lines[2], /total \/ 2, globalThis\[.*\]\.href = c;$/);
+  });
+
+  it("rewrites code inside template substitutions", () => {
+    const output = rewrite("const s = `worker: ${new Worker('inner.js')} done`;\nlocation.href = `${base}/x`;");
+    assert.match(output, /\$\{new Worker\(\(globalThis\.__coffeeshopRewriteUrl \|\| String\)\('inner\.js'\)\)\} done`/);
+    assert.match(output, /\nglobalThis\[.*\]\.href = `\$\{base\}\/x`;$/);
+  });
+});
+
+function escape(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
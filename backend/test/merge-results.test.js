@@ -0,0 +1,127 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { canonicalizeResultUrl, mergeResults } from "../search/mergeResults.js";
+import { SearchService } from "../search/SearchService.js";
+
+function list(provider, urls) {
+  return {
+    provider,
+    results: urls.map((url, index) => ({ title: `${provider} ${index}`, url, snippet: `${provider} snippet`, provider })),
+  };
+}
+
+describe("canonicalizeResultUrl", () => {
+  it("ignores tracking parameters but keeps the rest of the query", () => {
+    assert.equal(
+      canonicalizeResultUrl("https://example.com/post?utm_source=x&id=7&fbclid=abc&UTM_Medium=y&gclid=1"),
+      "example.com/post?id=7"
+    );
+    assert.equal(canonicalizeResultUrl("https://example.com/?utm_campaign=spring"), "example.com");
+  });
+
+  it("treats www, scheme, default ports, trailing slashes, fragments and parameter order as equal", () => {
+    const key = canonicalizeResultUrl("https://example.com/docs?a=1&b=2");
+    for (const variant of [
+      "http://www.example.com/docs/?b=2&a=1",
+      "https://WWW.Example.com:443/docs?b=2&a=1#intro",
+      "http://example.com:80/docs/?a=1&b=2#top",
+    ]) {
+      assert.equal(canonicalizeResultUrl(variant), key, variant);
+    }
+    assert.notEqual(canonicalizeResultUrl("https://example.com:8443/docs?a=1&b=2"), key);
+    assert.notEqual(canonicalizeResultUrl("https://docs.example.com/docs?a=1&b=2"), key);
+  });
+
+  it("returns null for URLs that do not parse", () => {
+    assert.equal(canonicalizeResultUrl("not a url"), null);
+  });
+});
+
+describe("mergeResults", () => {
+  it("counts a page found by several providers once, ahead of single-provider pages", () => {
+    const merged = mergeResults([
+      list("a", ["https://only-a.example/", "https://shared.example/page?utm_source=a"]),
+      list("b", ["https://only-b.example/", "http://www.shared.example/page/"]),
+    ]);
+    assert.deepEqual(
+      merged.map((result) => result.url),
+      ["https://shared.example/page", "https://only-a.example/", "https://only-b.example/"]
+    );
+    assert.deepEqual(merged[0].providers, ["a", "b"]);
+  });
+
+  it("interleaves providers by rank when they agree equally", () => {
+    const merged = mergeResults([
+      list("a", ["https://a1.example/", "https://a2.example/", "https://a3.example/"]),
+      list("b", ["https://b1.example/", "https://b2.example/"]),
+    ]);
+    assert.deepEqual(
+      merged.map((result) => result.url),
+      ["https://a1.example/", "https://b1.example/", "https://a2.example/", "https://b2.example/", "https://a3.example/"]
+    );
+    assert.ok(merged[0].score > merged[2].score);
+  });
+
+  it("takes the copy of the provider that ranked the page highest", () => {
+    const merged = mergeResults([
+      list("a", ["https://x.example/", "https://y.example/", "http://page.example/?gclid=9"]),
+      list("b", ["https://page.example/"]),
+    ]);
+    const page = merged.find((result) => result.providers.length === 2);
+    assert.equal(page.provider, "b");
+    assert.equal(page.title, "b 0");
+    assert.equal(page.url, "https://page.example/");
+  });
+
+  it("upgrades to https and fills a missing snippet with the longest one", () => {
+    const merged = mergeResults([
+      { provider: "a", results: [{ title: "A", url: "http://page.example/", snippet: "", provider: "a" }] },
+      { provider: "b", results: [{ title: "B", url: "https://page.example/", snippet: "short", provider: "b" }] },
+      {
+        provider: "c",
+        results: [
+          { title: "C", url: "https://other.example/", snippet: "", provider: "c" },
+          { title: "C", url: "http://page.example", snippet: "the longest snippet", provider: "c" },
+        ],
+      },
+    ]);
+    assert.equal(merged[0].provider, "a");
+    assert.equal(merged[0].url, "https://page.example/");
+    assert.equal(merged[0].snippet, "the longest snippet");
+  });
+});
+
+describe("SearchService.metasearch", () => {
+  const provider = (name, count) => ({
+    name,
+    label: name,
+    buildRequest: (query) => ({ url: `https://${name}.test/?q=${encodeURIComponent(query)}` }),
+    parse: () =>
+      Array.from({ length: count }, (_, index) => ({
+        title: `${name} ${index}`,
+        url: `https://${name}-${index}.example/`,
+        snippet: "",
+      })),
+  });
+  const service = new SearchService({
+    providers: [provider("a", 15), provider("b", 15)],
+    fetchPage: async ({ url }) => ({ status: 200, url: url.href, headers: new Headers(), text: "" }),
+  });
+
+  it("cuts the merged results to the limit", async () => {
+    const { results, providers } = await service.metasearch("q");
+    assert.equal(results.length, 20);
+    assert.deepEqual(
+      providers.map(({ name, count }) => ({ name, count })),
+      [
+        { name: "a", count: 15 },
+        { name: "b", count: 15 },
+      ]
+    );
+    const limited = await service.metasearch("q", { limit: 3 });
+    assert.deepEqual(
+      limited.results.map((result) => result.url),
+      ["https://a-0.example/", "https://b-0.example/", "https://a-1.example/"]
+    );
+  });
+});
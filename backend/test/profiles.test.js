@@ -0,0 +1,75 @@
+import assert from "node:assert/strict";
+import { readFileSync, readdirSync } from "node:fs";
+import { before, describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+import { load as loadHtml } from "cheerio";
+import { ProfileRegistry } from "../relay/ProfileRegistry.js";
+
+const PROFILES_DIR = fileURLToPath(new URL("../profiles/", import.meta.url));
+const FIXTURES_DIR = new URL("./fixtures/profiles/", import.meta.url);
+
+const fixture = (name) => readFileSync(new URL(name, FIXTURES_DIR), "utf8");
+
+describe("profiles", () => {
+  const registry = new ProfileRegistry();
+  let names;
+
+  before(async () => {
+    names = await registry.loadDirectory(PROFILES_DIR);
+  });
+
+  it("loads every module in backend/profiles", () => {
+    const modules = readdirSync(PROFILES_DIR).filter((file) => file.endsWith(".js"));
+    assert.equal(names.length, modules.length);
+  });
+
+  it("ships a saved page for every profile", () => {
+    const fixtures = readdirSync(FIXTURES_DIR);
+    for (const name of names) {
+      assert.ok(
+        fixtures.some((file) => file.startsWith(`${name}-`)),
+        `add a saved page for the "${name}" profile to test/fixtures/profiles/`
+      );
+    }
+  });
+
+  describe("duckduckgo", () => {
+    const url = "https://html.duckduckgo.com/html/?q=node+streams";
+
+    it("matches DuckDuckGo hosts only", () => {
+      const matched = (hostname) => registry.match(hostname).map((profile) => profile.name);
+      assert.deepEqual(matched("duckduckgo.com"), ["duckduckgo"]);
+      assert.deepEqual(matched("html.duckduckgo.com"), ["duckduckgo"]);
+      assert.deepEqual(matched("notduckduckgo.com"), []);
+      assert.deepEqual(matched("duckduckgo.com.example.net"), []);
+    });
+
+    it("pins protocol-relative links on a result page to https", async () => {
+      const profiles = registry.match(new URL(url).hostname);
+      const $ = loadHtml(await registry.runHtml(profiles, fixture("duckduckgo-html.html"), { url }));
+
+      assert.equal($('[href^="//"]').length, 0);
+      assert.deepEqual(
+        $(".result__a")
+          .map((_index, element) => $(element).attr("href"))
+          .get(),
+        [
+          "https://duckduckgo.com/l/?uddg=https%3A%2F%2Fnodejs.org%2Fapi%2Fstream.html&rut=3f1c",
+          "https://github.com/nodejs/readable-stream",
+        ]
+      );
+      assert.equal($('link[rel="search"]').attr("href"), "https://duckduckgo.com/opensearch_html_v2.xml");
+      assert.equal($("#footer a").last().attr("href"), "https://spreadprivacy.com/");
+    });
+
+    it("leaves relative links, form actions and image sources alone", async () => {
+      const profiles = registry.match(new URL(url).hostname);
+      const $ = loadHtml(await registry.runHtml(profiles, fixture("duckduckgo-html.html"), { url }));
+
+      assert.equal($(".header__logo-wrap").attr("href"), "/html/");
+      assert.equal($("#search_form").attr("action"), "/html/");
+      assert.equal($(".result__icon__img").attr("src"), "//external-content.duckduckgo.com/ip3/nodejs.org.ico");
+      assert.equal($(".result__snippet b").first().text(), "streaming");
+    });
+  });
+});
@@ -0,0 +1,181 @@
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { describe, it } from "node:test";
+import bingLite from "../search/bingLite.js";
+import duckduckgoLite from "../search/duckduckgoLite.js";
+import { SearchService, isSearchProviderError } from "../search/SearchService.js";
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/search/${name}`, import.meta.url), "utf8");
+
+function assertProviderError(fn, provider, reason) {
+  assert.throws(fn, (error) => isSearchProviderError(error) && error.provider === provider && error.reason === reason);
+}
+
+describe("duckduckgoLite.parse", () => {
+  const url = "https://lite.duckduckgo.com/lite/?q=node+streams";
+
+  it("reads title, target URL and snippet of every organic result", () => {
+    const results = duckduckgoLite.parse(fixture("duckduckgo-lite-results.html"), { url });
+    assert.equal(results.length, 3);
+    assert.deepEqual(results[0], {
+      title: "Stream | Node.js v22 Documentation",
+      url: "https://nodejs.org/api/stream.html",
+      snippet:
+        "A stream is an abstract interface for working with streaming data in Node.js. The node:stream module " +
+        "provides an API for implementing the stream interface.",
+    });
+    assert.equal(results[1].url, "https://developer.mozilla.org/en-US/docs/Web/API/Streams_API?utm_source=ddg");
+    assert.equal(results[2].url, "https://github.com/nodejs/readable-stream");
+    assert.equal(results[2].snippet, "Node-core streams for userland.");
+  });
+
+  it("skips sponsored rows", () => {
+    const results = duckduckgoLite.parse(fixture("duckduckgo-lite-results.html"), { url });
+    assert.ok(results.every((result) => !result.title.includes("Sponsored")));
+  });
+
+  it("returns no results for an empty result page", () => {
+    assert.deepEqual(duckduckgoLite.parse(fixture("duckduckgo-lite-no-results.html"), { url }), []);
+  });
+
+  it("classifies the bot challenge as blocked", () => {
+    assertProviderError(
+      () => duckduckgoLite.parse(fixture("duckduckgo-lite-challenge.html"), { url }),
+      "duckduckgo-lite",
+      "blocked"
+    );
+  });
+
+  it("classifies unknown markup as a parse failure", () => {
+    assertProviderError(() => duckduckgoLite.parse(fixture("unrecognized.html"), { url }), "duckduckgo-lite", "parse");
+  });
+});
+
+describe("bingLite.parse", () => {
+  const url = "https://lite.bing.com/search?q=node+streams";
+
+  it("reads organic results and decodes click-tracker links", () => {
+    const results = bingLite.parse(fixture("bing-lite-results.html"), { url });
+    assert.deepEqual(results, [
+      {
+        title: "Stream | Node.js v22 Documentation",
+        url: "https://nodejs.org/api/stream.html",
+        snippet: "A stream is an abstract interface for working with streaming data in Node.js.",
+      },
+      {
+        title: "Node.js Streams",
+        url: "https://nodejs.dev/en/learn/nodejs-streams/",
+        snippet: "Streams are one of the fundamental concepts that power Node.js applications.",
+      },
+      {
+        title: "GitHub - nodejs/readable-stream",
+        url: "https://github.com/nodejs/readable-stream",
+        snippet: "Node-core streams for userland.",
+      },
+    ]);
+  });
+
+  it("returns no results for an empty result page", () => {
+    assert.deepEqual(bingLite.parse(fixture("bing-lite-no-results.html"), { url }), []);
+  });
+
+  it("classifies the captcha page as blocked", () => {
+    assertProviderError(() => bingLite.parse(fixture("bing-lite-challenge.html"), { url }), "bing-lite", "blocked");
+  });
+
+  it("classifies unknown markup as a parse failure", () => {
+    assertProviderError(() => bingLite.parse(fixture("unrecognized.html"), { url }), "bing-lite", "parse");
+  });
+});
+
+describe("SearchService", () => {
+  function createService(pages, options = {}) {
+    return new SearchService({
+      providers: [duckduckgoLite, bingLite],
+      timeout: 100,
+      ...options,
+      fetchPage: async ({ url, signal }) => {
+        const page = pages[url.hostname];
+        if (typeof page === "function") {
+          return page({ url, signal });
+        }
+        return { status: 200, url: url.href, headers: new Headers(), text: fixture(page) };
+      },
+    });
+  }
+
+  it("normalizes results and tags them with the provider", async () => {
+    const service = createService({ "lite.duckduckgo.com": "duckduckgo-lite-results.html" });
+    const { results } = await service.query("duckduckgo-lite", "node streams");
+    assert.deepEqual(Object.keys(results[0]).sort(), ["provider", "snippet", "title", "url"]);
+    assert.ok(results.every((result) => result.provider === "duckduckgo-lite"));
+  });
+
+  it("falls back to the next provider and reports why the first failed", async () => {
+    const service = createService({
+      "lite.duckduckgo.com": "duckduckgo-lite-challenge.html",
+      "lite.bing.com": "bing-lite-results.html",
+    });
+    const payload = await service.search("node streams");
+    assert.equal(payload.provider, "bing-lite");
+    assert.equal(payload.results.length, 3);
+    assert.deepEqual(
+      payload.errors.map(({ provider, reason }) => ({ provider, reason })),
+      [{ provider: "duckduckgo-lite", reason: "blocked" }]
+    );
+    assert.deepEqual(service.stats()["duckduckgo-lite"].failures, { blocked: 1 });
+  });
+
+  it("classifies HTTP errors, refusals, timeouts and network failures", async () => {
+    const service = createService({
+      "lite.duckduckgo.com": ({ url }) => ({ status: 429, url: url.href, headers: new Headers(), text: "" }),
+      "lite.bing.com": ({ url }) => ({ status: 500, url: url.href, headers: new Headers(), text: "" }),
+    });
+    const { errors } = await service.search("node streams");
+    assert.deepEqual(
+      errors.map(({ reason }) => reason),
+      ["blocked", "http"]
+    );
+
+    const slow = createService({
+      // AbortSignal.timeout does not hold the event loop open; the pending timer does.
+      "lite.duckduckgo.com": ({ signal }) =>
+        new Promise((_resolve, reject) => {
+          const pending = setTimeout(() => {}, 1_000);
+          signal.addEventListener("abort", () => {
+            clearTimeout(pending);
+            reject(signal.reason);
+          });
+        }),
+      "lite.bing.com": () => {
+        throw new Error("ECONNRESET");
+      },
+    });
+    const failed = await slow.search("node streams");
+    assert.equal(failed.provider, null);
+    assert.deepEqual(
+      failed.errors.map(({ reason }) => reason),
+      ["timeout", "network"]
+    );
+  });
+
+  it("sends back cookies a provider set", async () => {
+    const service = createService({
+      "lite.duckduckgo.com": ({ url }) => ({
+        status: 200,
+        url: url.href,
+        headers: new Headers([["set-cookie", "kl=wt-wt; Path=/"]]),
+        text: fixture("duckduckgo-lite-no-results.html"),
+      }),
+    });
+    const cookies = [];
+    const fetchPage = service.fetchPage;
+    service.fetchPage = (request) => {
+      cookies.push(request.headers.cookie);
+      return fetchPage(request);
+    };
+    await service.query("duckduckgo-lite", "a");
+    await service.query("duckduckgo-lite", "b");
+    assert.deepEqual(cookies, [undefined, "kl=wt-wt"]);
+  });
+});
@@ -0,0 +1,116 @@
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import { createServer } from "node:http";
+import net from "node:net";
+import { after, describe, it } from "node:test";
+import { WebSocketServer } from "ws";
+import { connectUpstreamWebSocket, guardUpgradeSocket, isClientGoneError } from "../relay/WebSocketRelay.js";
+
+async function listen(server) {
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  return server.address().port;
+}
+
+/**
+ * A relay the way server.js wires it: the raw upgrade socket is guarded first, then the
+ * upstream handshake runs. Every outcome lands in `outcomes`.
+ */
+async function startRelay(upstreamUrl) {
+  const outcomes = [];
+  const relay = createServer();
+  relay.on("upgrade", (request, socket) => {
+    guardUpgradeSocket(socket);
+    const settled = connectUpstreamWebSocket(upstreamUrl, {
+      clientSocket: socket,
+      handshakeTimeout: 5_000,
+      onUpgrade: (response) => outcomes.push({ upgrade: response.headers["set-cookie"] }),
+    }).then(
+      (upstream) => {
+        upstream.terminate();
+        socket.destroy();
+        return { open: true };
+      },
+      (error) => {
+        socket.destroy();
+        return { error };
+      }
+    );
+    outcomes.push(settled);
+  });
+  return { relay, outcomes, port: await listen(relay) };
+}
+
+function sendUpgrade(port) {
+  const client = net.connect(port, "127.0.0.1");
+  client.write(
+    "GET /powerthrough HTTP/1.1\r\nHost: relay.test\r\nConnection: Upgrade\r\nUpgrade: websocket\r\n" +
+      "Sec-WebSocket-Version: 13\r\nSec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\n\r\n"
+  );
+  client.on("error", () => {});
+  return client;
+}
+
+describe("connectUpstreamWebSocket", () => {
+  const servers = [];
+  after(() =>
+    servers.forEach((server) => {
+      server.closeAllConnections();
+      server.close();
+    })
+  );
+
+  it("drops the pending upstream when the client resets mid-handshake", async () => {
+    // The upstream takes the upgrade request and never answers it.
+    const upstream = createServer();
+    let upstreamDropped;
+    upstream.on("upgrade", (_request, socket) => {
+      upstreamDropped = once(socket.resume(), "end");
+    });
+    const upstreamPort = await listen(upstream);
+    const { relay, outcomes, port } = await startRelay(`ws://127.0.0.1:${upstreamPort}/`);
+    servers.push(upstream, relay);
+
+    const client = sendUpgrade(port);
+    await once(upstream, "upgrade");
+    client.resetAndDestroy();
+
+    const { error } = await outcomes[0];
+    assert.ok(isClientGoneError(error), `expected a ClientGoneError, got ${error}`);
+    await upstreamDropped;
+  });
+
+  it("resolves once the upstream opens and reports its upgrade response", async () => {
+    const upstream = createServer();
+    const wss = new WebSocketServer({ noServer: true });
+    wss.on("headers", (headers) => headers.push("Set-Cookie: sid=1; Path=/"));
+    upstream.on("upgrade", (request, socket, head) => wss.handleUpgrade(request, socket, head, () => {}));
+    const upstreamPort = await listen(upstream);
+    const { relay, outcomes, port } = await startRelay(`ws://127.0.0.1:${upstreamPort}/`);
+    servers.push(upstream, relay);
+
+    const client = sendUpgrade(port);
+    await once(relay, "upgrade");
+    assert.deepEqual(await outcomes[0], { open: true });
+    assert.deepEqual(outcomes[1], { upgrade: ["sid=1; Path=/"] });
+    client.destroy();
+    wss.close();
+  });
+
+  it("reports the status of a refused upgrade", async () => {
+    const upstream = createServer();
+    upstream.on("upgrade", (_request, socket) => {
+      socket.end("HTTP/1.1 403 Forbidden\r\nContent-Length: 0\r\nConnection: close\r\n\r\n");
+    });
+    const upstreamPort = await listen(upstream);
+    const { relay, outcomes, port } = await startRelay(`ws://127.0.0.1:${upstreamPort}/`);
+    servers.push(upstream, relay);
+
+    const client = sendUpgrade(port);
+    await once(relay, "upgrade");
+    const { error } = await outcomes[0];
+    assert.equal(error.statusCode, 403);
+    assert.equal(isClientGoneError(error), false);
+    client.destroy();
+  });
+});
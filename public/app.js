@@ -38,9 +38,11 @@ const services = {
     name: "AstraCore Light",
     description: "Lightweight isotope mode optimized for speed.",
     mode: "lite",
+    render: "lite",
     compose(targetUrl, meta = {}) {
       return buildCoffeeShopLink(targetUrl, {
         mode: this.mode,
+        render: this.render,
         intent: meta?.intent,
         transport: meta?.transport,
         session: meta?.sessionId,
@@ -94,6 +96,9 @@ const selectors = {
   framePlaceholder: document.querySelector("#frame-placeholder"),
   workspaceStatus: document.querySelector("#workspace-status"),
   frameReset: document.querySelector("#workspace-reset"),
+  readerToggle: document.querySelector("#reader-toggle"),
+  captureButton: document.querySelector("#capture-page"),
+  captureFormat: document.querySelector("#capture-format"),
   tabCloakToggle: document.querySelector("#tab-cloak"),
   cloakTitle: document.querySelector("#cloak-title"),
   cloakBlank: document.querySelector("#cloak-blank"),
@@ -901,6 +906,8 @@ function registerEventHandlers() {
     lastNavigation = null;
     userSelectedService = activeService;
     renderProxyMetadataFromFrame();
+    syncReaderToggle();
+    syncCaptureButton();
   });
 
   selectors.frame?.addEventListener("error", () => {
@@ -997,6 +1004,9 @@ function registerEventHandlers() {
   selectors.fullscreenToggle?.addEventListener("click", () => {
     toggleFullscreen();
   });
+
+  selectors.readerToggle?.addEventListener("click", toggleReaderView);
+  selectors.captureButton?.addEventListener("click", captureCurrentPage);
   // Removed direct listeners in favor of delegation
   selectors.devCacheList?.addEventListener("click", handleDevCacheActionClick);
   selectors.devUserList?.addEventListener("click", handleDevUserActionClick);
@@ -2688,6 +2698,87 @@ function toggleFullscreen() {
   }
 }
 
+function readFrameMetadata() {
+  const doc = selectors.frame?.contentDocument;
+  return doc ? readProxyMetadata(doc) : null;
+}
+
+// Switches the current page between the relayed layout and /powerthrough/reader.
+function toggleReaderView() {
+  const meta = readFrameMetadata();
+  if (!meta?.target) {
+    setStatus("Open a page before switching to reader view.", true);
+    return;
+  }
+  const leavingReader = meta.renderer === "reader";
+  const params = new URLSearchParams({ url: meta.target });
+  const render = services[activeService]?.render;
+  if (render) {
+    params.set("render", render);
+  }
+  selectors.framePlaceholder?.classList.add("is-hidden");
+  selectors.frame.src = `${leavingReader ? "/powerthrough" : "/powerthrough/reader"}?${params}`;
+  setWorkspaceStatus(leavingReader ? "Restoring the original layout." : "Extracting the article.");
+  logDiagnostics(`Reader view ${leavingReader ? "off" : "on"} for ${describeTargetForLog(meta.target)}.`);
+}
+
+function syncReaderToggle() {
+  if (!selectors.readerToggle) return;
+  const meta = readFrameMetadata();
+  const active = meta?.renderer === "reader";
+  selectors.readerToggle.disabled = !meta?.target;
+  selectors.readerToggle.setAttribute("aria-pressed", String(active));
+  selectors.readerToggle.textContent = active ? "Original View" : "Reader View";
+}
+
+// Asks the headless renderer for a PNG or PDF of the current page, sized like the frame,
+// and saves it through a temporary download link.
+async function captureCurrentPage() {
+  const meta = readFrameMetadata();
+  if (!meta?.target || !selectors.captureButton) {
+    setStatus("Open a page before capturing it.", true);
+    return;
+  }
+  const format = selectors.captureFormat?.value === "pdf" ? "pdf" : "png";
+  const params = new URLSearchParams({ url: meta.target, format, fullPage: "true" });
+  if (selectors.frame?.clientWidth && selectors.frame?.clientHeight) {
+    params.set("width", String(Math.min(3840, Math.max(320, Math.round(selectors.frame.clientWidth)))));
+    params.set("height", String(Math.min(2160, Math.max(240, Math.round(selectors.frame.clientHeight)))));
+  }
+  selectors.captureButton.disabled = true;
+  setWorkspaceStatus(`Capturing ${describeTargetForLog(meta.target)}...`);
+  try {
+    const response = await fetch(`/powerthrough/capture?${params}`, { cache: "no-store" });
+    if (!response.ok) {
+      const payload = await response.json().catch(() => null);
+      throw new Error(payload?.error || `HTTP ${response.status}`);
+    }
+    const blob = await response.blob();
+    const disposition = response.headers.get("content-disposition") || "";
+    const filename = disposition.match(/filename="([^"]+)"/)?.[1] || `capture.${format}`;
+    const objectUrl = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = objectUrl;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(objectUrl), 1000);
+    setWorkspaceStatus(`Saved ${filename}.`);
+    logDiagnostics(`Captured ${describeTargetForLog(meta.target)} as ${format.toUpperCase()}.`);
+  } catch (error) {
+    setWorkspaceStatus("Capture failed.");
+    setStatus(`Unable to capture the page: ${error.message}`, true);
+  } finally {
+    syncCaptureButton();
+  }
+}
+
+function syncCaptureButton() {
+  if (!selectors.captureButton) return;
+  selectors.captureButton.disabled = !readFrameMetadata()?.target;
+}
+
 function updateFullscreenButton() {
   if (!selectors.fullscreenToggle) return;
   selectors.fullscreenToggle.textContent = document.fullscreenElement ? "Exit fullscreen" : "Enter fullscreen";
@@ -2883,11 +2974,19 @@ function advanceSearchProvider(reasonMessage) {
   if (!lastNavigation || lastNavigation.meta.intent !== "search") {
     return false;
   }
+  const failedBackends = new Set([
+    ...(lastNavigation.meta.failedSearchBackends || []),
+    ...(readFrameMetadata()?.searchFailed || []),
+  ]);
+  lastNavigation.meta.failedSearchBackends = [...failedBackends];
   const currentIndex = lastNavigation.meta.searchProviderIndex ?? 0;
-  if (currentIndex >= SEARCH_PROVIDERS.length - 1) {
+  let nextIndex = currentIndex + 1;
+  while (nextIndex < SEARCH_PROVIDERS.length && failedBackends.has(SEARCH_PROVIDERS[nextIndex].backend)) {
+    nextIndex += 1;
+  }
+  if (nextIndex >= SEARCH_PROVIDERS.length) {
     return false;
   }
-  const nextIndex = currentIndex + 1;
   const provider = SEARCH_PROVIDERS[nextIndex] || SEARCH_PROVIDERS[0];
   if (!lastNavigation.rawInput) {
     return false;
@@ -2999,6 +3098,18 @@ function renderProxyMetadataFromFrame() {
     const rendererLabel = meta.renderer ? ` · ${meta.renderer}` : "";
     selectors.diagRequestId.textContent = meta.requestId ? `${meta.requestId}${rendererLabel}` : meta.renderer || "–";
   }
+  meta.redirects.forEach((hop, index) => {
+    logDiagnostics(`Redirect hop ${index + 1}: ${hop.status} ${hop.from} → ${hop.to}.`);
+  });
+  if (meta.charset) {
+    logDiagnostics(`Document charset: ${meta.charset}.`);
+  }
+  meta.integrity.forEach((decision) => {
+    logDiagnostics(
+      `Integrity ${decision.action} for ${decision.url}: ${decision.reason}.`,
+      decision.action === "drop" ? "warn" : "info"
+    );
+  });
   if (meta.target) {
     logDiagnostics(`Session ready for ${meta.target} (${meta.renderer || activeService}).`);
   } else {
@@ -3015,12 +3126,44 @@ function readProxyMetadata(doc) {
     if (!requestId && !renderer && !target) {
       return null;
     }
-    return { requestId, renderer, target };
+    return {
+      requestId,
+      renderer,
+      target,
+      charset: getMeta("coffeeshop-charset"),
+      redirects: parseRedirectChain(getMeta("coffeeshop-redirects")),
+      integrity: parseIntegrityDecisions(getMeta("coffeeshop-integrity")),
+      searchFailed: (getMeta("coffeeshop-search-failed") || "").split(",").filter(Boolean),
+    };
   } catch {
     return null;
   }
 }
 
+function parseRedirectChain(value) {
+  if (!value) {
+    return [];
+  }
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed.filter((hop) => hop && hop.from && hop.to) : [];
+  } catch {
+    return [];
+  }
+}
+
+function parseIntegrityDecisions(value) {
+  if (!value) {
+    return [];
+  }
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed.filter((entry) => entry && entry.url && entry.action) : [];
+  } catch {
+    return [];
+  }
+}
+
 function updateDiagnosticsSafezone() {
   if (!selectors.diagSafezone) {
     return;
@@ -3037,14 +3180,17 @@ function describeTargetForLog(targetUrl) {
     return targetUrl;
   }
 }
+// The first entry is the relay's metasearch, which already asks the providers marked with
+// `backend` in parallel; those are skipped when it reports them failing.
 const SEARCH_PROVIDERS = [
   {
-    label: "Coffee Shop Lite",
+    label: "Coffee Shop Metasearch",
     type: "local",
     buildUrl: (term) => `/search/lite?q=${encodeURIComponent(term)}`,
   },
   {
     label: "Bing Lite",
+    backend: "bing-lite",
     buildUrl: (term) => `https://lite.bing.com/search?q=${encodeURIComponent(term)}`,
   },
   {
@@ -3053,6 +3199,7 @@ const SEARCH_PROVIDERS = [
   },
   {
     label: "DuckDuckGo Lite",
+    backend: "duckduckgo-lite",
     buildUrl: (term) => `https://lite.duckduckgo.com/lite/?q=${encodeURIComponent(term)}&ia=web`,
   },
   {
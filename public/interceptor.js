@@ -2,29 +2,90 @@
     console.log("[CoffeeShop] Interceptor active.");
 
     const PROXY_BASE = "/powerthrough";
-    const CURRENT_URL = new URL(document.querySelector("meta[name='coffeeshop-target']")?.content || window.location.href);
+    // Upstream URL of the current page; history.pushState/replaceState move it.
+    let currentTarget = new URL(document.querySelector("meta[name='coffeeshop-target']")?.content || window.location.href);
+
+    // URL-bearing attributes per element, shared by the DOM observer, setAttribute and
+    // the property setters below. Mirrors attributesToRewrite on the server.
+    const URL_ATTRIBUTES = {
+        A: ["href"],
+        AREA: ["href"],
+        LINK: ["href", "imagesrcset"],
+        SCRIPT: ["src"],
+        IFRAME: ["src"],
+        FRAME: ["src"],
+        IMG: ["src", "srcset"],
+        SOURCE: ["src", "srcset"],
+        VIDEO: ["src", "poster"],
+        AUDIO: ["src"],
+        TRACK: ["src"],
+        EMBED: ["src"],
+        OBJECT: ["data"],
+        FORM: ["action"],
+        BUTTON: ["formaction"],
+        INPUT: ["src", "formaction"],
+    };
+    const SRCSET_ATTRIBUTES = new Set(["srcset", "imagesrcset"]);
+
+    // The relay moves <base href> into data-coffeeshop-base; it is parsed after this
+    // script runs, so look it up lazily.
+    function documentBase() {
+        return document.querySelector("base[data-coffeeshop-base]")?.dataset.coffeeshopBase || currentTarget;
+    }
+
+    function isProxiedUrl(absolute) {
+        return absolute.origin === window.location.origin && absolute.pathname.startsWith(PROXY_BASE);
+    }
 
     // --- Helper: Rewrite URL ---
     function rewriteUrl(url) {
-        if (!url) return url;
-        if (url.startsWith("data:") || url.startsWith("blob:") || url.startsWith("#")) return url;
-        
+        if (url === null || url === undefined || url === "") return url;
+        url = String(url);
+        if (/^(data|blob|javascript|mailto|tel|about):/i.test(url.trim()) || url.startsWith("#")) return url;
+
         try {
-            const absolute = new URL(url, CURRENT_URL);
+            const absolute = new URL(url, documentBase());
             // If it's already proxied, leave it
-            if (absolute.origin === window.location.origin && absolute.pathname.startsWith(PROXY_BASE)) {
+            if (isProxiedUrl(absolute)) {
                 return url;
             }
-            
-            // Construct proxy URL
+
+            // Construct proxy URL; the fragment stays outside so anchors keep working
+            const hash = absolute.hash;
+            absolute.hash = "";
             const proxied = new URL(PROXY_BASE, window.location.origin);
             proxied.searchParams.set("url", absolute.href);
+            proxied.hash = hash;
             return proxied.href;
         } catch (e) {
             return url;
         }
     }
 
+    function rewriteSrcset(value) {
+        if (!value) return value;
+        return String(value)
+            .split(",")
+            .map((candidate) => {
+                const [url, ...descriptors] = candidate.trim().split(/\s+/);
+                return url ? [rewriteUrl(url), ...descriptors].join(" ") : "";
+            })
+            .filter(Boolean)
+            .join(", ");
+    }
+
+    function rewriteAttributeValue(element, name, value) {
+        const attribute = String(name).toLowerCase();
+        if (!URL_ATTRIBUTES[element.tagName]?.includes(attribute)) {
+            return value;
+        }
+        return SRCSET_ATTRIBUTES.has(attribute) ? rewriteSrcset(value) : rewriteUrl(value);
+    }
+
+    // Module scripts rewritten by the relay call this for import() specifiers that
+    // are only known at runtime.
+    window.__coffeeshopRewriteUrl = rewriteUrl;
+
     // --- 1. Fetch Interceptor ---
     const originalFetch = window.fetch;
     window.fetch = async function(input, init) {
@@ -53,9 +114,106 @@
         return originalOpen.call(this, method, newUrl, ...args);
     };
 
+    // --- 2b. WebSocket Interceptor ---
+    // Target-site sockets go through the relay's /powerthrough upgrade path.
+    const OriginalWebSocket = window.WebSocket;
+    function rewriteWebSocketUrl(url) {
+        const absolute = new URL(String(url), documentBase());
+        if (absolute.protocol === "http:" || absolute.protocol === "https:") {
+            absolute.protocol = absolute.protocol === "https:" ? "wss:" : "ws:";
+        }
+        if (absolute.host === window.location.host && absolute.pathname.startsWith(PROXY_BASE)) {
+            return absolute.href;
+        }
+        const proxied = new URL(PROXY_BASE, window.location.origin);
+        proxied.protocol = window.location.protocol === "https:" ? "wss:" : "ws:";
+        proxied.searchParams.set("url", absolute.href);
+        return proxied.href;
+    }
+    function ProxiedWebSocket(url, protocols) {
+        const proxiedUrl = rewriteWebSocketUrl(url);
+        return protocols === undefined
+            ? new OriginalWebSocket(proxiedUrl)
+            : new OriginalWebSocket(proxiedUrl, protocols);
+    }
+    ProxiedWebSocket.prototype = OriginalWebSocket.prototype;
+    ["CONNECTING", "OPEN", "CLOSING", "CLOSED"].forEach((state) => {
+        Object.defineProperty(ProxiedWebSocket, state, { value: OriginalWebSocket[state] });
+    });
+    window.WebSocket = ProxiedWebSocket;
+
+    // --- 2c. EventSource, sendBeacon and window.open ---
+    const OriginalEventSource = window.EventSource;
+    if (OriginalEventSource) {
+        function ProxiedEventSource(url, config) {
+            return new OriginalEventSource(rewriteUrl(url), config);
+        }
+        ProxiedEventSource.prototype = OriginalEventSource.prototype;
+        ["CONNECTING", "OPEN", "CLOSED"].forEach((state) => {
+            Object.defineProperty(ProxiedEventSource, state, { value: OriginalEventSource[state] });
+        });
+        window.EventSource = ProxiedEventSource;
+    }
+
+    if (navigator.sendBeacon) {
+        const originalSendBeacon = navigator.sendBeacon.bind(navigator);
+        navigator.sendBeacon = function(url, data) {
+            return originalSendBeacon(rewriteUrl(url), data);
+        };
+    }
+
+    const originalWindowOpen = window.open;
+    window.open = function(url, ...args) {
+        return originalWindowOpen.call(window, url ? rewriteUrl(url) : url, ...args);
+    };
+
+    // --- 2d. Dynamically created elements ---
+    // Property setters (script.src = ..., link.href = ...) and setAttribute both go
+    // through rewriteUrl before the browser ever fetches the resource.
+    const originalSetAttribute = Element.prototype.setAttribute;
+    Element.prototype.setAttribute = function(name, value) {
+        return originalSetAttribute.call(this, name, rewriteAttributeValue(this, name, value));
+    };
+
+    [
+        ["HTMLAnchorElement", "href"],
+        ["HTMLAreaElement", "href"],
+        ["HTMLLinkElement", "href"],
+        ["HTMLScriptElement", "src"],
+        ["HTMLIFrameElement", "src"],
+        ["HTMLImageElement", "src"],
+        ["HTMLImageElement", "srcset"],
+        ["HTMLSourceElement", "src"],
+        ["HTMLSourceElement", "srcset"],
+        ["HTMLMediaElement", "src"],
+        ["HTMLVideoElement", "poster"],
+        ["HTMLTrackElement", "src"],
+        ["HTMLEmbedElement", "src"],
+        ["HTMLObjectElement", "data"],
+        ["HTMLFormElement", "action"],
+        ["HTMLButtonElement", "formAction"],
+        ["HTMLInputElement", "src"],
+        ["HTMLInputElement", "formAction"],
+    ].forEach(([constructorName, property]) => {
+        const prototype = window[constructorName]?.prototype;
+        const descriptor = prototype && Object.getOwnPropertyDescriptor(prototype, property);
+        if (!descriptor?.set || !descriptor.configurable) return;
+        const rewrite = property === "srcset" ? rewriteSrcset : rewriteUrl;
+        Object.defineProperty(prototype, property, {
+            ...descriptor,
+            set(value) {
+                descriptor.set.call(this, rewrite(value));
+            },
+        });
+    });
+
     // --- 3. DOM Mutation Observer (Link Rewriter) ---
     const observer = new MutationObserver((mutations) => {
         mutations.forEach((mutation) => {
+            if (mutation.type === "attributes") {
+                processNode(mutation.target);
+                return;
+            }
             mutation.addedNodes.forEach((node) => {
                 if (node.nodeType === 1) { // ELEMENT_NODE
                     processNode(node);
@@ -67,63 +225,167 @@
     });
 
     function processNode(node) {
-        if (node.tagName === "A" && node.href) {
-            const original = node.getAttribute("href");
-            if (original && !original.startsWith(PROXY_BASE) && !original.startsWith("#") && !original.startsWith("javascript:")) {
-                node.setAttribute("href", rewriteUrl(original));
-                node.setAttribute("target", "_self"); // Force stay in same tab to keep proxy context
+        const attributes = URL_ATTRIBUTES[node.tagName];
+        if (!attributes) return;
+        attributes.forEach((attribute) => {
+            const original = node.getAttribute(attribute);
+            if (!original) return;
+            const rewritten = rewriteAttributeValue(node, attribute, original);
+            if (rewritten !== original) {
+                originalSetAttribute.call(node, attribute, rewritten);
             }
+        });
+        if (node.tagName === "A" && node.hasAttribute("target") && node.getAttribute("target") !== "_self") {
+            node.setAttribute("target", "_self"); // Force stay in same tab to keep proxy context
         }
-        if (node.tagName === "IMG" && node.src) {
-             const original = node.getAttribute("src");
-             if (original && !original.startsWith(PROXY_BASE)) {
-                 node.setAttribute("src", rewriteUrl(original));
-             }
-        }
-        // Add more tags as needed (SCRIPT, LINK, IFRAME)
     }
 
     observer.observe(document.documentElement, {
         childList: true,
         subtree: true,
         attributes: true,
-        attributeFilter: ["href", "src"]
+        attributeFilter: ["href", "src", "srcset", "imagesrcset", "poster", "data", "action", "formaction"]
     });
 
     // Initial pass
     document.querySelectorAll("*").forEach(processNode);
 
+    // --- 5. Navigation Interceptor ---
+    // history.pushState/replaceState: keep the address bar on /powerthrough and track
+    // the new upstream URL so later relative URLs resolve against it.
+    ["pushState", "replaceState"].forEach((method) => {
+        const original = history[method];
+        history[method] = function(state, title, url) {
+            if (url === undefined || url === null) {
+                return original.call(history, state, title);
+            }
+            const absolute = new URL(String(url), documentBase());
+            const result = original.call(history, state, title, rewriteUrl(absolute.href));
+            if (!isProxiedUrl(absolute)) {
+                currentTarget = absolute;
+            }
+            return result;
+        };
+    });
+
+    // location.assign/replace are unforgeable in browsers, so try to wrap them directly
+    // and fall back to the Navigation API where that fails.
+    function wrapLocationMethod(method) {
+        const original = window.location[method];
+        try {
+            Object.defineProperty(window.location, method, {
+                configurable: true,
+                value: (url) => original.call(window.location, rewriteUrl(url)),
+            });
+            return window.location[method] !== original;
+        } catch (e) {
+            return false;
+        }
+    }
+    const locationWrapped = ["assign", "replace"].map(wrapLocationMethod).every(Boolean);
+
+    // `location.href = ...` cannot be wrapped anywhere, and only Chromium has the
+    // Navigation API below. The relay rewrites those assignments in scripts to set
+    // `__coffeeshopLocation.href` instead, which lands here.
+    window.__coffeeshopLocation = {
+        get href() {
+            return currentTarget.href;
+        },
+        set href(url) {
+            window.location.assign(rewriteUrl(url));
+        },
+    };
+
+    if (window.navigation && !locationWrapped) {
+        window.navigation.addEventListener("navigate", (event) => {
+            if (!event.cancelable || event.hashChange || event.formData || event.downloadRequest !== null) return;
+            const destination = new URL(event.destination.url);
+            if (isProxiedUrl(destination)) return;
+            // Relative navigations were resolved against the relay origin; re-resolve
+            // them against the upstream page.
+            const upstream =
+                destination.origin === window.location.origin
+                    ? new URL(destination.pathname + destination.search + destination.hash, documentBase())
+                    : destination;
+            event.preventDefault();
+            const proxied = rewriteUrl(upstream.href);
+            if (event.navigationType === "replace") {
+                window.location.replace(proxied);
+            } else {
+                window.location.assign(proxied);
+            }
+        });
+    }
+
     // --- 4. Form Submission Interceptor ---
-    document.addEventListener("submit", (e) => {
-        const form = e.target;
-        const action = form.getAttribute("action") || "";
-        const method = (form.getAttribute("method") || "GET").toUpperCase();
-        
-        e.preventDefault();
+    // GET forms are rebuilt by hand: a native GET submission would replace the
+    // /powerthrough?url=... query with the form fields. Every other method is left to
+    // the browser, which encodes urlencoded and multipart bodies (boundary, length,
+    // file uploads) itself and loads the response in place; the relay only has to
+    // be the action.
+    function unwrapProxiedUrl(value) {
+        const absolute = new URL(value || "", value ? documentBase() : currentTarget);
+        const target = isProxiedUrl(absolute) ? absolute.searchParams.get("url") : null;
+        return target ? new URL(target) : absolute;
+    }
 
-        const formData = new FormData(form);
-        const targetUrl = new URL(action, CURRENT_URL);
-        
+    function resolveSubmission(form, submitter) {
+        const pick = (override, attribute) =>
+            submitter?.hasAttribute?.(override) ? submitter.getAttribute(override) : form.getAttribute(attribute);
+        return {
+            action: pick("formaction", "action") || "",
+            method: (pick("formmethod", "method") || "GET").toUpperCase(),
+            actionOwner: submitter?.hasAttribute?.("formaction") ? submitter : form,
+            actionAttribute: submitter?.hasAttribute?.("formaction") ? "formaction" : "action",
+        };
+    }
+
+    function buildFormData(form, submitter) {
+        try {
+            return submitter ? new FormData(form, submitter) : new FormData(form);
+        } catch (e) {
+            return new FormData(form);
+        }
+    }
+
+    function submitGetForm(form, submitter, action) {
+        const targetUrl = unwrapProxiedUrl(action);
+        targetUrl.search = "";
+        for (const [key, value] of buildFormData(form, submitter).entries()) {
+            targetUrl.searchParams.append(key, typeof value === "string" ? value : value.name);
+        }
+        window.location.assign(rewriteUrl(targetUrl.href));
+    }
+
+    // Returns true when the submission was handled here and the native one must not run.
+    function prepareSubmission(form, submitter) {
+        const { action, method, actionOwner, actionAttribute } = resolveSubmission(form, submitter);
+        if (method === "DIALOG") return false;
         if (method === "GET") {
-            // Append params to URL
-            for (const [key, value] of formData.entries()) {
-                targetUrl.searchParams.append(key, value);
-            }
-            window.location.href = rewriteUrl(targetUrl.href);
-        } else {
-            // POST via fetch and reload with result
-            // This is tricky for a general proxy, but we can try
-            // For now, let's just rewrite the action and submit
-            const proxiedAction = rewriteUrl(targetUrl.href);
-            // We can't easily change the action and submit because the browser will navigate
-            // We need to construct a hidden form or use fetch
-            
-            // Simple fallback: just change action and submit
-            // But we need to ensure the backend handles the POST body proxying
-            form.setAttribute("action", proxiedAction);
-            form.removeEventListener("submit", arguments.callee); // Remove handler to avoid loop
-            form.submit();
+            submitGetForm(form, submitter, action);
+            return true;
+        }
+        const proxiedAction = rewriteUrl(unwrapProxiedUrl(action).href);
+        if (actionOwner.getAttribute(actionAttribute) !== proxiedAction) {
+            originalSetAttribute.call(actionOwner, actionAttribute, proxiedAction);
+        }
+        return false;
+    }
+
+    document.addEventListener("submit", (e) => {
+        // Pages that handle their own submissions (fetch-based forms) already cancelled it.
+        if (e.defaultPrevented) return;
+        if (prepareSubmission(e.target, e.submitter || null)) {
+            e.preventDefault();
         }
     });
 
+    // form.submit() skips the submit event entirely.
+    const originalFormSubmit = HTMLFormElement.prototype.submit;
+    HTMLFormElement.prototype.submit = function() {
+        if (!prepareSubmission(this, null)) {
+            originalFormSubmit.call(this);
+        }
+    };
+
 })();